@@ -0,0 +1,157 @@
+import { Reactivity } from './reactivity.js';
+
+/**
+ * Read the value of a bound element, coerced based on its type.
+ * @param {Element} element - Bound element.
+ * @param {Element[]} group - Bound elements with the same path (used for checkbox groups).
+ * @returns {any} Coerced value.
+ */
+export function readElementValue(element, group = [element]) {
+    if (element.isContentEditable) return element.textContent;
+
+    switch (element.type) {
+        case 'checkbox':
+            // Checkbox groups map to an Array of the checked values, and single checkboxes map to a boolean
+            return (group.length > 1)
+                ? group.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value)
+                : Boolean(element.checked);
+
+        case 'number':
+        case 'range':
+            return (element.value === '') ? null : Number(element.value);
+
+        case 'date':
+            return (element.value === '') ? null : new Date(`${element.value}T00:00`);
+
+        case 'select-multiple':
+            return Array.from(element.options).filter(option => option.selected).map(option => option.value);
+
+        default:
+            return element.value;
+    }
+}
+
+/**
+ * Write a store value to a bound element (only if it differs from the element's current value, so that the cursor isn't moved while typing).
+ * @param {Element} element - Bound element.
+ * @param {any} value - Store value.
+ */
+export function writeElementValue(element, value) {
+    const stringValue = (value === undefined || value === null) ? '' : String(value);
+
+    if (element.isContentEditable) {
+        if (element.textContent !== stringValue) element.textContent = stringValue;
+        return;
+    }
+
+    switch (element.type) {
+        case 'checkbox':
+            element.checked = Array.isArray(value) ? value.includes(element.value) : Boolean(value);
+            break;
+
+        case 'radio':
+            element.checked = (element.value === stringValue);
+            break;
+
+        case 'date': {
+            // NOTE: Dates are written in local time to match how they are read
+            const dateValue = (value instanceof Date)
+                ? [value.getFullYear(), value.getMonth() + 1, value.getDate()].map(part => String(part).padStart(2, '0')).join('-')
+                : stringValue;
+
+            if (element.value !== dateValue) element.value = dateValue;
+            break;
+        }
+
+        case 'number':
+        case 'range':
+            // Don't replace input that is still being typed if it already reads as the same number (e.g. '1.')
+            if (readElementValue(element) !== value && element.value !== stringValue) element.value = stringValue;
+            break;
+
+        case 'select-multiple':
+            Array.from(element.options).forEach((option) => {
+                option.selected = Array.isArray(value) && value.includes(option.value);
+            });
+            break;
+
+        default:
+            if (element.value !== stringValue) element.value = stringValue;
+    }
+}
+
+/**
+ * Two-way bind the elements of a rendered Blaze template that have a state path attribute to the store.
+ * @param {ReactiveStore|StoreScope} store - Store to bind to.
+ * @param {Blaze.TemplateInstance} instance - Rendered template instance.
+ * @param {Object} options - See ReactiveStore.prototype.bindTemplate.
+ * @returns {Object} Binding handle.
+ */
+export function bindTemplate(store, instance, { attribute = 'data-state-path', events = ['input', 'change'] } = {}) {
+    if (!instance || !instance.firstNode || !(instance.findAll instanceof Function)) {
+        throw new Error('ReactiveStore: You must provide a rendered template instance to bind (e.g. in onRendered).');
+    }
+
+    // NOTE: Events are delegated to the parent of the template's DOM range so that elements rendered later are bound as well
+    const container = instance.firstNode.parentNode,
+        selector = `[${attribute}]`;
+
+    let stopped = false;
+
+    const getGroup = (elements, path) => elements.filter(element => element.getAttribute(attribute) === path);
+
+    const onEvent = (event) => {
+        const element = event.target && event.target.closest && event.target.closest(selector),
+            elements = instance.findAll(selector);
+
+        // Ignore elements outside of the template and radio buttons that were unchecked
+        if (!element || !elements.includes(element) || (element.type === 'radio' && !element.checked)) return;
+
+        const path = element.getAttribute(attribute);
+
+        store.assign(path, readElementValue(element, getGroup(elements, path)));
+    };
+
+    // Write the current store values into the bound elements (rerun whenever any of their values change)
+    const refresh = () => {
+        const elements = instance.findAll(selector);
+
+        for (const element of elements) {
+            writeElementValue(element, store.get(element.getAttribute(attribute)));
+        }
+    };
+
+    const computation = instance.autorun(refresh);
+
+    // Rerun refresh when bound elements are rendered later (e.g. inside {{#if}}), so that they show the store values and follow them from then on
+    const observer = (typeof MutationObserver !== 'undefined') && new MutationObserver((mutations) => {
+        const addedBoundElement = mutations.some(({ addedNodes }) => Array.from(addedNodes).some(node => (
+            node.nodeType === 1 && (node.matches(selector) || !!node.querySelector(selector))
+        )));
+
+        if (addedBoundElement) computation.invalidate();
+    });
+
+    const stop = () => {
+        if (stopped) return;
+
+        stopped = true;
+        computation.stop();
+        if (observer) observer.disconnect();
+        events.forEach(eventName => container.removeEventListener(eventName, onEvent));
+    };
+
+    events.forEach(eventName => container.addEventListener(eventName, onEvent));
+
+    if (observer) {
+        observer.observe(container, { childList: true, subtree: true });
+    }
+
+    instance.view.onViewDestroyed(stop);
+
+    return {
+        // Write the current store values into the bound elements right away (e.g. after new bound elements are rendered)
+        refresh: () => Reactivity.nonreactive(refresh),
+        stop
+    };
+}
@@ -0,0 +1,80 @@
+// Convert a document id/key field value into a path key (ObjectIDs are keyed by their hex strings)
+function toKey(value) {
+    if (typeof value === 'string') return value;
+
+    return (value && value.toHexString instanceof Function) ? value.toHexString() : String(value);
+}
+
+/**
+ * Keep an Object of the documents in a cursor (keyed by id or the given field) at path, applying each change as a fine-grained assign/delete.
+ * @param {ReactiveStore} store - Store to write documents to.
+ * @param {path} path - Path of the document Object.
+ * @param {Mongo.Cursor} cursor - Cursor to observe.
+ * @param {Object} options - See ReactiveStore.prototype.bindCursor.
+ * @returns {Object} Binding handle.
+ */
+export function bindCursor(store, path, cursor, { keyBy = '_id' } = {}) {
+    if (!cursor || !(cursor.observeChanges instanceof Function)) {
+        throw new Error('ReactiveStore: You must provide a cursor with an observeChanges function to bind.');
+    }
+
+    const { DELETE } = store.constructor,
+        { tokens } = store._getPathData(path),
+        // Document id -> path key
+        keys = new Map();
+
+    let observer = null;
+
+    const callbacks = {
+        added(id, fields) {
+            const key = toKey((keyBy === '_id') ? id : fields[keyBy]);
+
+            keys.set(id, key);
+            store.assign([...tokens, key], { _id: id, ...fields });
+        },
+
+        changed(id, fields) {
+            const key = keys.get(id);
+
+            store.transaction(() => {
+                for (const [field, value] of Object.entries(fields)) {
+                    // Removed fields are changed to undefined
+                    store.assign([...tokens, key, field], (value === undefined) ? DELETE : value);
+                }
+
+                // Move the document if its key field has changed
+                if (keyBy !== '_id' && fields.hasOwnProperty(keyBy)) {
+                    const newKey = toKey(fields[keyBy]);
+
+                    if (newKey !== key) {
+                        const doc = store._peekAtPath([...tokens, key]);
+
+                        keys.set(id, newKey);
+                        store.delete([...tokens, key]);
+                        store.assign([...tokens, newKey], doc);
+                    }
+                }
+            });
+        },
+
+        removed(id) {
+            const key = keys.get(id);
+
+            keys.delete(id);
+            store.delete([...tokens, key]);
+        }
+    };
+
+    // Replace any existing documents with the initial results in a single batch
+    store.transaction(() => {
+        store.assign(tokens, {});
+        observer = cursor.observeChanges(callbacks);
+    });
+
+    return {
+        // Stop observing the cursor (documents that are already in the store are kept)
+        stop() {
+            observer.stop();
+        }
+    };
+}
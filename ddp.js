@@ -0,0 +1,406 @@
+import { isObject } from './helpers.js';
+import { toPointer, parsePointer, createPatch } from './patch.js';
+
+/*
+ * Each published path is sent as a document (whose id is '#' + the JSON Pointer of the path) in the 'reactive-store:<name>' collection.
+ * Documents are flattened into a field per value (keyed by 'value' + the JSON Pointer of the value within the document), so that only the leaves that changed need to be sent.
+ * Objects/Arrays are sent as container markers, since their contents are sent as fields of their own.
+ */
+
+const FIELD_PREFIX = 'value';
+
+// Get the name of the collection that a store is published to
+function getCollectionName(name) {
+    return `reactive-store:${name}`;
+}
+
+// Get Meteor (if the Meteor package is available)
+function getMeteor() {
+    return (typeof Package !== 'undefined' && Package.meteor) ? Package.meteor.Meteor : undefined;
+}
+
+// Get the id of the document of a published path
+function getDocId(tokens) {
+    return `#${toPointer(tokens)}`;
+}
+
+// Returns true if key is the field of the value at pointer or the field of a value below it
+function isAtOrBelow(key, pointer) {
+    return key === pointer || key.startsWith(`${pointer}/`);
+}
+
+/**
+ * Flatten a value into fields (container markers for traversable values and the values themselves for anything else).
+ * @param {ReactiveStore} store - Store whose traversal rules should be used.
+ * @param {any} value - Value to flatten.
+ * @param {string} key - Field key of the value.
+ * @param {Object} fields - Object to add the fields to.
+ */
+function flatten(store, value, key, fields) {
+    const { isTraversable, _keysOf, _valueAtKey } = store.constructor;
+
+    if (isTraversable(value)) {
+        fields[key] = { $rs: Array.isArray(value) ? 'array' : 'object' };
+
+        for (const subKey of _keysOf(value)) {
+            flatten(store, _valueAtKey(value, subKey), key + toPointer([subKey]), fields);
+        }
+    } else {
+        // NOTE: undefined can't be sent (it is used to clear fields), so it is sent as a marker as well
+        fields[key] = (value === undefined) ? { $rs: 'undefined' } : value;
+    }
+}
+
+// Convert a field value back into a store value (containers are created empty since their contents are separate fields)
+function unflattenField(fieldValue) {
+    if (isObject(fieldValue) && fieldValue.$rs) {
+        if (fieldValue.$rs === 'array') return [];
+        if (fieldValue.$rs === 'object') return {};
+        return undefined;
+    }
+
+    return fieldValue;
+}
+
+// Get the path tokens of a field within its document
+function fieldTokens(key) {
+    return parsePointer(key.slice(FIELD_PREFIX.length));
+}
+
+/**
+ * Publish the given paths of the store on a publication, sending only the leaves that changed in each batch of committed changes.
+ * @param {ReactiveStore} store - Store to publish.
+ * @param {string} name - Publication name.
+ * @param {Object} publication - Publication context (this in a Meteor.publish handler) with added/changed/removed/ready/onStop functions.
+ * @param {Object} options - See ReactiveStore.prototype.publish.
+ */
+export function publishStore(store, name, publication, { paths, filter } = {}) {
+    const { ROOT, DELETE, _valueAtKey } = store.constructor,
+        collection = getCollectionName(name);
+
+    const toTokens = path => ((path === ROOT) ? [] : store._getPathData(path).tokens);
+
+    let visibleTokens = (paths || [ROOT]).map(toTokens);
+
+    if (filter instanceof Function) {
+        const allowed = filter(publication.userId);
+
+        if (!allowed) {
+            publication.ready();
+            return;
+        }
+
+        // Only paths that are also published can be allowed
+        if (Array.isArray(allowed)) {
+            const allowedIds = allowed.map(path => getDocId(toTokens(path)));
+
+            visibleTokens = visibleTokens.filter(tokens => allowedIds.includes(getDocId(tokens)));
+        }
+    }
+
+    const docs = visibleTokens.map(tokens => ({
+        id: getDocId(tokens),
+        tokens,
+        // Keys of the fields that have been sent
+        keys: new Set(),
+        exists: false
+    }));
+
+    const valueAt = (value, tokens) => tokens.reduce((current, token) => _valueAtKey(current, token), value);
+
+    // Send the fields of a document (as added/changed/removed depending on whether it existed before)
+    const send = (doc, fields) => {
+        if (!doc.exists && doc.keys.size) {
+            const addedFields = {};
+
+            doc.keys.forEach((key) => {
+                addedFields[key] = fields[key];
+            });
+
+            publication.added(collection, doc.id, addedFields);
+            doc.exists = true;
+
+        } else if (doc.exists && !doc.keys.size) {
+            publication.removed(collection, doc.id);
+            doc.exists = false;
+
+        } else if (doc.exists && Object.keys(fields).length) {
+            publication.changed(collection, doc.id, fields);
+        }
+    };
+
+    for (const doc of docs) {
+        const fields = {},
+            value = valueAt(store.data, doc.tokens);
+
+        if (value !== DELETE) {
+            flatten(store, value, FIELD_PREFIX, fields);
+            Object.keys(fields).forEach(key => doc.keys.add(key));
+        }
+
+        send(doc, fields);
+    }
+
+    publication.ready();
+
+    const listener = store.onChange((records) => {
+        for (const doc of docs) {
+            const fields = {};
+
+            for (const record of records) {
+                const recordTokens = toTokens(record.path);
+
+                let { oldValue, newValue } = record,
+                    relativeTokens = [];
+
+                if (recordTokens.length <= doc.tokens.length && recordTokens.every((token, idx) => doc.tokens[idx] === token)) {
+                    // Change at or above the document
+                    const remainingTokens = doc.tokens.slice(recordTokens.length);
+
+                    oldValue = valueAt(oldValue, remainingTokens);
+                    newValue = valueAt(newValue, remainingTokens);
+
+                } else if (doc.tokens.every((token, idx) => recordTokens[idx] === token)) {
+                    // Change below the document
+                    relativeTokens = recordTokens.slice(doc.tokens.length);
+
+                } else {
+                    continue;
+                }
+
+                // Use the store's deep diff so that only the values that actually changed are sent
+                for (const op of createPatch(store, oldValue, newValue, relativeTokens)) {
+                    const key = FIELD_PREFIX + op.path;
+
+                    // Clear the old field (along with any fields below it), then add the new ones
+                    for (const sentKey of Array.from(doc.keys)) {
+                        if (isAtOrBelow(sentKey, key)) {
+                            fields[sentKey] = undefined;
+                            doc.keys.delete(sentKey);
+                        }
+                    }
+
+                    if (op.op !== 'remove') {
+                        const newFields = {};
+
+                        flatten(store, op.value, key, newFields);
+
+                        Object.assign(fields, newFields);
+                        Object.keys(newFields).forEach(newKey => doc.keys.add(newKey));
+                    }
+                }
+            }
+
+            send(doc, fields);
+        }
+    });
+
+    publication.onStop(() => listener.stop());
+}
+
+// Connection -> (collection name -> shared subscription data) map
+const connectionDataMap = new WeakMap();
+
+/**
+ * Get the data shared by every mirror of a collection on a connection, registering a DDP store for the collection the first time.
+ * @param {Object} connection - DDP connection.
+ * @param {string} collection - Collection name.
+ * @returns {Object} Shared data with docs (id -> field map) and mirrors (Set of apply functions).
+ */
+function getCollectionData(connection, collection) {
+    if (!connectionDataMap.has(connection)) {
+        connectionDataMap.set(connection, new Map());
+    }
+
+    const collectionDataMap = connectionDataMap.get(connection);
+
+    if (!collectionDataMap.has(collection)) {
+        const data = { docs: new Map(), mirrors: new Set() };
+
+        const notify = (update) => {
+            data.mirrors.forEach(apply => apply(update));
+        };
+
+        connection.registerStore(collection, {
+            beginUpdate(batchSize, reset) {
+                // Documents are resent after a reconnect
+                if (reset) {
+                    data.docs.clear();
+                    notify({ reset: true });
+                }
+            },
+
+            update(msg) {
+                const { id } = msg;
+
+                if (msg.msg === 'added') {
+                    const fields = new Map(Object.entries(msg.fields || {}));
+
+                    data.docs.set(id, fields);
+                    notify({ id, reset: true, set: fields });
+
+                } else if (msg.msg === 'changed') {
+                    const fields = data.docs.get(id) || new Map(),
+                        set = new Map(Object.entries(msg.fields || {})),
+                        cleared = msg.cleared || [];
+
+                    set.forEach((value, key) => fields.set(key, value));
+                    cleared.forEach(key => fields.delete(key));
+                    data.docs.set(id, fields);
+
+                    notify({ id, set, cleared });
+
+                } else if (msg.msg === 'removed') {
+                    data.docs.delete(id);
+                    notify({ id, removed: true });
+                }
+            },
+
+            endUpdate() {},
+            saveOriginals() {},
+            retrieveOriginals: () => new Map(),
+            getDoc: () => null
+        });
+
+        collectionDataMap.set(collection, data);
+    }
+
+    return collectionDataMap.get(collection);
+}
+
+/**
+ * Subscribe to a published store and create a read-only store that mirrors the published paths.
+ * @param {Function} StoreClass - ReactiveStore class.
+ * @param {string} name - Publication name.
+ * @param {any[]} args - Publication arguments (and optional options Object as the last argument, see ReactiveStore.subscribe).
+ * @returns {ReactiveStore} Mirror store (with the DDP subscription handle as its subscription property).
+ */
+export function subscribeStore(StoreClass, name, args) {
+    const lastArg = args[args.length - 1],
+        hasOptions = isObject(lastArg) && (['onReady', 'onStop', 'onError'].some(key => lastArg[key] instanceof Function) || lastArg.connection),
+        { connection = (getMeteor() || {}).connection, ...callbacks } = hasOptions ? lastArg : {},
+        publicationArgs = hasOptions ? args.slice(0, -1) : args;
+
+    if (!connection || !(connection.registerStore instanceof Function) || !(connection.subscribe instanceof Function)) {
+        throw new Error('ReactiveStore: You must provide a DDP connection to subscribe to a store.');
+    }
+
+    const data = getCollectionData(connection, getCollectionName(name)),
+        mirror = new StoreClass({});
+
+    let applying = false;
+
+    const readOnly = (value) => {
+        if (!applying) {
+            throw new Error('ReactiveStore: Subscribed stores are read-only.');
+        }
+
+        return value;
+    };
+
+    mirror.use({ beforeSet: readOnly, beforeAssign: readOnly, beforeDelete: readOnly });
+
+    const write = (tokens, value) => {
+        if (tokens.length) {
+            mirror.assign(tokens, value);
+        } else {
+            mirror.set((value === StoreClass.DELETE) ? {} : value);
+        }
+    };
+
+    // Apply an update of a document (or reset the whole mirror) in a single batch
+    const apply = ({
+        id,
+        reset,
+        removed,
+        set = new Map(),
+        cleared = []
+    }) => {
+        applying = true;
+
+        try {
+            mirror.noMutation(() => mirror.transaction(() => {
+                if (id === undefined) {
+                    mirror.set({});
+                    return;
+                }
+
+                const docTokens = parsePointer(id.slice(1));
+
+                if (removed || reset) {
+                    write(docTokens, StoreClass.DELETE);
+                    if (removed) return;
+                }
+
+                // Clear fields from the deepest up, then set fields from the shallowest down (so that containers exist before their contents)
+                const byDepth = keys => keys
+                    .map(key => fieldTokens(key))
+                    .sort((tokensA, tokensB) => tokensA.length - tokensB.length);
+
+                byDepth(cleared).reverse().forEach((tokens) => {
+                    const fullTokens = [...docTokens, ...tokens],
+                        parentTokens = fullTokens.slice(0, -1),
+                        parent = fullTokens.length ? mirror._peekAtPath(parentTokens) : undefined;
+
+                    if (Array.isArray(parent)) {
+                        // NOTE: Only trailing items are ever cleared from arrays, so the array is shortened instead of leaving a hole
+                        const index = Number(fullTokens[fullTokens.length - 1]);
+
+                        if (index < parent.length) mirror.splice(parentTokens, index);
+                    } else {
+                        write(fullTokens, StoreClass.DELETE);
+                    }
+                });
+
+                Array.from(set.keys()).sort((keyA, keyB) => fieldTokens(keyA).length - fieldTokens(keyB).length).forEach((key) => {
+                    write([...docTokens, ...fieldTokens(key)], unflattenField(set.get(key)));
+                });
+            }));
+        } finally {
+            applying = false;
+        }
+    };
+
+    // Start from the documents that have already been received by other subscriptions
+    data.docs.forEach((fields, id) => apply({ id, reset: true, set: fields }));
+    data.mirrors.add(apply);
+
+    mirror.subscription = connection.subscribe(name, ...publicationArgs, {
+        ...callbacks,
+
+        onStop(error) {
+            data.mirrors.delete(apply);
+
+            if (callbacks.onStop instanceof Function) {
+                callbacks.onStop(error);
+            }
+        }
+    });
+
+    return mirror;
+}
+
+/**
+ * Create a Meteor.publish handler that publishes the store (and register it if Meteor.publish is available).
+ * @param {ReactiveStore} store - Store to publish.
+ * @param {string} name - Publication name.
+ * @param {Object} options - See ReactiveStore.prototype.publish.
+ * @returns {Function} Publication handler.
+ */
+export function createPublication(store, name, options) {
+    if (typeof name !== 'string' || !name) {
+        throw new Error('ReactiveStore: You must provide a name to publish the store.');
+    }
+
+    const handler = function () {
+        publishStore(store, name, this, options);
+    };
+
+    const Meteor = getMeteor();
+
+    if (Meteor && Meteor.publish instanceof Function) {
+        Meteor.publish(name, handler);
+    }
+
+    return handler;
+}
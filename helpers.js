@@ -1,3 +1,5 @@
+import { formatPath } from './path.js';
+
 export function isObject(val) {
     return (val instanceof Object && val.constructor === Object);
 }
@@ -7,14 +9,59 @@ export function useStrictEqualityCheck(val) {
     return !(val instanceof Object) || (val instanceof Function) || (val instanceof Symbol);
 }
 
-export function ensureDepNode(deps, key) {
+export function isDevelopment() {
+    return (typeof process === 'undefined' || !process.env || process.env.NODE_ENV !== 'production');
+}
+
+// Returns a shallow copy of the given Object/Array
+export function shallowClone(val) {
+    return Array.isArray(val) ? val.slice() : { ...val };
+}
+
+export function ensureDepNode(deps, key, parent) {
     if (!deps[key]) {
-        deps[key] = { subDeps: {} };
+        // NOTE: The parent/key are kept so that unused dep nodes can be removed from their parents without walking the whole tree
+        deps[key] = { subDeps: {}, parent, key };
     }
 
     return deps[key];
 }
 
+export function hasDependents(depNode) {
+    if (!depNode) return false;
+
+    for (const dep of [depNode.valueDep, depNode.existsDep, depNode.keysDep, depNode.lengthDep]) {
+        if (dep && dep.hasDependents()) return true;
+    }
+
+    if (depNode.eqDepMap) {
+        for (const eqDep of depNode.eqDepMap.values()) {
+            if (eqDep.hasDependents()) return true;
+        }
+    }
+
+    return false;
+}
+
+export function mapsAreEqual(mapA, mapB) {
+    let equal = (
+        mapA instanceof Map
+        && mapB instanceof Map
+        && mapA.size === mapB.size
+    );
+
+    if (equal) {
+        for (const [key, val] of mapA) {
+            if (!mapB.has(key) || mapB.get(key) !== val) {
+                equal = false;
+                break;
+            }
+        }
+    }
+
+    return equal;
+}
+
 export function setsAreEqual(setA, setB) {
     let equal = (
         setA instanceof Set
@@ -33,3 +80,60 @@ export function setsAreEqual(setA, setB) {
 
     return equal;
 }
+
+export function isPattern(tokens) {
+    return tokens.some(token => token === '*' || token === '**');
+}
+
+// Returns the keys matched by the wildcard segments of patternTokens ('*' = one key, '**' = one or more keys joined by '.') if tokens match; otherwise, null
+export function matchPattern(patternTokens, tokens) {
+    const match = (patternIdx, tokenIdx) => {
+        if (patternIdx === patternTokens.length) {
+            return (tokenIdx === tokens.length) ? [] : null;
+        }
+
+        const patternToken = patternTokens[patternIdx];
+
+        if (patternToken === '**') {
+            // Match as few keys as possible first
+            for (let endIdx = tokenIdx + 1; endIdx <= tokens.length; endIdx++) {
+                const params = match(patternIdx + 1, endIdx);
+
+                if (params) {
+                    return [formatPath(tokens.slice(tokenIdx, endIdx)), ...params];
+                }
+            }
+
+            return null;
+        }
+
+        if (tokenIdx === tokens.length || (patternToken !== '*' && patternToken !== tokens[tokenIdx])) {
+            return null;
+        }
+
+        const params = match(patternIdx + 1, tokenIdx + 1);
+
+        return (params && patternToken === '*') ? [tokens[tokenIdx], ...params] : params;
+    };
+
+    return match(0, 0);
+}
+
+// Add plugin to the given plugin list and return a handle with a stop function that removes it
+export function addPlugin(plugins, plugin) {
+    if (!(plugin instanceof Object)) {
+        throw new Error('ReactiveStore: You must provide a plugin Object of hook functions.');
+    }
+
+    plugins.push(plugin);
+
+    return {
+        stop: () => {
+            const idx = plugins.indexOf(plugin);
+
+            if (idx !== -1) {
+                plugins.splice(idx, 1);
+            }
+        }
+    };
+}
@@ -0,0 +1,8 @@
+import ReactiveStore from './reactive_store.js';
+
+// npm entry point: stores use Tracker if it is available (i.e. when installed from npm in a Meteor app), or the standalone adapter otherwise
+if (typeof Package !== 'undefined' && Package.tracker) {
+    ReactiveStore.setReactivityAdapter(ReactiveStore.createTrackerAdapter(Package.tracker.Tracker));
+}
+
+export default ReactiveStore;
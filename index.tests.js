@@ -0,0 +1,19 @@
+import { describe, it } from 'node:test';
+import assert from 'assert';
+import ReactiveStore from 'meteor-reactive-store';
+
+// Smoke tests for the npm entry point in plain Node (run with npm run test:node)
+describe('meteor-reactive-store (Node)', () => {
+    it('should load with the standalone reactivity adapter', () => {
+        const test = new ReactiveStore({ a: { b: 1 } }),
+            reactivity = ReactiveStore.getReactivityAdapter(),
+            values = [];
+
+        reactivity.autorun(() => values.push(test.get('a.b')));
+
+        test.assign('a.b', 2);
+        reactivity.flush();
+
+        assert.deepEqual(values, [1, 2]);
+    });
+});
@@ -0,0 +1,7 @@
+import { Tracker } from 'meteor/tracker';
+import ReactiveStore from './reactive_store.js';
+
+// Meteor entry point: stores use Tracker for reactivity
+ReactiveStore.setReactivityAdapter(ReactiveStore.createTrackerAdapter(Tracker));
+
+export default ReactiveStore;
@@ -13,7 +13,10 @@ Package.onUse((api) => {
         'tracker@1.2.0'
     ]);
 
-    api.mainModule('reactive_store.js');
+    api.mainModule('meteor.js');
+
+    // React bindings (import from 'meteor/jmaric:deep-reactive-store/react.js' in apps that use React)
+    api.addFiles('react.js', 'client', { lazy: true });
 });
 
 Package.onTest((api) => {
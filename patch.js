@@ -0,0 +1,265 @@
+/**
+ * Convert path tokens into a JSON Pointer (RFC 6901).
+ * @param {string[]} tokens - Path tokens.
+ * @returns {string} JSON Pointer ('' for the root value).
+ */
+export function toPointer(tokens) {
+    return tokens.map(token => `/${String(token).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
+/**
+ * Convert a JSON Pointer (RFC 6901) into path tokens.
+ * @param {string} pointer - JSON Pointer.
+ * @returns {string[]} Path tokens (empty for the root value).
+ */
+export function parsePointer(pointer) {
+    if (pointer === '') return [];
+
+    if (typeof pointer !== 'string' || pointer[0] !== '/') {
+        throw new Error(`ReactiveStore: Invalid JSON Pointer '${pointer}'.`);
+    }
+
+    return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Create a JSON Patch (RFC 6902) that turns oldValue into newValue.
+ * Objects/Arrays are diffed key by key, so only the values that actually changed end up in the patch.
+ * @param {ReactiveStore} store - Store whose traversal/equality rules should be used.
+ * @param {any} oldValue - Old value (ReactiveStore.DELETE if it did not exist).
+ * @param {any} newValue - New value (ReactiveStore.DELETE if it was deleted).
+ * @param {string[]} [tokens] - Path tokens of the values.
+ * @returns {Object[]} Patch operations.
+ */
+export function createPatch(store, oldValue, newValue, tokens = []) {
+    const {
+            DELETE,
+            isTraversable,
+            _valueAtKey,
+            _keysOf
+        } = store.constructor,
+        ops = [];
+
+    const walk = (pathTokens, oldVal, newVal) => {
+        const path = toPointer(pathTokens);
+
+        if (newVal === DELETE) {
+            if (oldVal !== DELETE) {
+                ops.push({ op: 'remove', path });
+            }
+
+            return;
+        }
+
+        if (oldVal === DELETE) {
+            ops.push({ op: 'add', path, value: newVal });
+            return;
+        }
+
+        // Only diff different Objects/Arrays of the same kind (a single replace is produced otherwise)
+        if (oldVal !== newVal && isTraversable(oldVal) && isTraversable(newVal) && Array.isArray(oldVal) === Array.isArray(newVal)) {
+            if (Array.isArray(oldVal)) {
+                const sharedLength = Math.min(oldVal.length, newVal.length);
+
+                for (let idx = 0; idx < sharedLength; idx++) {
+                    walk([...pathTokens, String(idx)], oldVal[idx], newVal[idx]);
+                }
+
+                // Remove from the end so that the remaining indices stay valid
+                for (let idx = oldVal.length - 1; idx >= newVal.length; idx--) {
+                    ops.push({ op: 'remove', path: toPointer([...pathTokens, String(idx)]) });
+                }
+
+                for (let idx = oldVal.length; idx < newVal.length; idx++) {
+                    ops.push({ op: 'add', path: toPointer([...pathTokens, String(idx)]), value: newVal[idx] });
+                }
+            } else {
+                for (const key of _keysOf(oldVal)) {
+                    walk([...pathTokens, key], _valueAtKey(oldVal, key), _valueAtKey(newVal, key));
+                }
+
+                for (const key of _keysOf(newVal)) {
+                    if (_valueAtKey(oldVal, key) === DELETE) {
+                        ops.push({ op: 'add', path: toPointer([...pathTokens, key]), value: _valueAtKey(newVal, key) });
+                    }
+                }
+            }
+
+            return;
+        }
+
+        if (!store._isEqual(oldVal, newVal)) {
+            ops.push({ op: 'replace', path, value: newVal });
+        }
+    };
+
+    walk(tokens, oldValue, newValue);
+
+    return ops;
+}
+
+/**
+ * Deep clone Objects/Arrays (any other values are returned as-is).
+ * @param {ReactiveStore} store - Store whose traversal rules should be used.
+ * @param {any} value - Value to clone.
+ * @returns {any} Cloned value.
+ */
+function deepClone(store, value) {
+    const {
+        isTraversable,
+        _keysOf,
+        _valueAtKey,
+        _setKey,
+        _clone
+    } = store.constructor;
+
+    if (!isTraversable(value)) return value;
+
+    const clone = _clone(value);
+
+    for (const key of _keysOf(value)) {
+        _setKey(clone, key, deepClone(store, _valueAtKey(value, key)));
+    }
+
+    return clone;
+}
+
+/**
+ * Apply a JSON Patch (RFC 6902) to the store using its modifiers (so mutators are honored).
+ * This should be run inside of a transaction so that the patch is rolled back if an operation fails.
+ * @param {ReactiveStore} store - Store to patch.
+ * @param {Object[]} ops - Patch operations.
+ */
+export function applyPatch(store, ops) {
+    const {
+        ROOT,
+        DELETE,
+        isTraversable,
+        _valueAtKey
+    } = store.constructor;
+
+    if (!Array.isArray(ops)) {
+        throw new Error('ReactiveStore: A patch must be an Array of operations.');
+    }
+
+    const valueAt = tokens => tokens.reduce((current, token) => _valueAtKey(current, token), store.data),
+        toPath = tokens => (tokens.length ? tokens : ROOT);
+
+    const getParent = (op, tokens) => {
+        const parent = valueAt(tokens.slice(0, -1));
+
+        if (parent === DELETE || !isTraversable(parent)) {
+            throw new Error(`ReactiveStore: Cannot apply patch operation '${op.op}' because the parent of path '${op.path}' does not exist.`);
+        }
+
+        return parent;
+    };
+
+    // Get the array index a token refers to (allowing the length of the array if inserting)
+    const getIndex = (op, array, token, inserting) => {
+        const idx = (inserting && token === '-') ? array.length : Number(token),
+            maxIdx = inserting ? array.length : (array.length - 1);
+
+        if (!/^(0|[1-9][0-9]*|-)$/.test(token) || !Number.isInteger(idx) || idx > maxIdx) {
+            throw new Error(`ReactiveStore: Cannot apply patch operation '${op.op}' because '${token}' is not a valid index for path '${op.path}'.`);
+        }
+
+        return idx;
+    };
+
+    const getExisting = (op, tokens, pointer) => {
+        const value = valueAt(tokens);
+
+        if (value === DELETE) {
+            throw new Error(`ReactiveStore: Cannot apply patch operation '${op.op}' because path '${pointer}' does not exist.`);
+        }
+
+        return value;
+    };
+
+    const add = (op, tokens, value) => {
+        if (!tokens.length) {
+            store.set(value);
+            return;
+        }
+
+        const parent = getParent(op, tokens),
+            token = tokens[tokens.length - 1];
+
+        if (Array.isArray(parent)) {
+            store.splice(toPath(tokens.slice(0, -1)), getIndex(op, parent, token, true), 0, value);
+        } else {
+            store.assign(toPath(tokens), value);
+        }
+    };
+
+    const remove = (op, tokens, pointer) => {
+        getExisting(op, tokens, pointer);
+
+        if (!tokens.length) {
+            store.set(undefined);
+            return;
+        }
+
+        const parent = getParent(op, tokens);
+
+        if (Array.isArray(parent)) {
+            store.splice(toPath(tokens.slice(0, -1)), getIndex(op, parent, tokens[tokens.length - 1], false), 1);
+        } else {
+            store.delete(toPath(tokens));
+        }
+    };
+
+    for (const op of ops) {
+        const tokens = parsePointer(op.path);
+
+        switch (op.op) {
+            case 'add':
+                add(op, tokens, op.value);
+                break;
+
+            case 'remove':
+                remove(op, tokens, op.path);
+                break;
+
+            case 'replace':
+                getExisting(op, tokens, op.path);
+
+                if (tokens.length) {
+                    store.assign(toPath(tokens), op.value);
+                } else {
+                    store.set(op.value);
+                }
+                break;
+
+            case 'move': {
+                const fromTokens = parsePointer(op.from),
+                    value = getExisting(op, fromTokens, op.from);
+
+                if (fromTokens.length < tokens.length && fromTokens.every((token, idx) => tokens[idx] === token)) {
+                    throw new Error(`ReactiveStore: Cannot move path '${op.from}' into one of its own children.`);
+                }
+
+                remove(op, fromTokens, op.from);
+                add(op, tokens, value);
+                break;
+            }
+
+            case 'copy':
+                add(op, tokens, deepClone(store, getExisting(op, parsePointer(op.from), op.from)));
+                break;
+
+            case 'test': {
+                const value = valueAt(tokens);
+
+                if (value === DELETE || !store._isEqual(value, op.value)) {
+                    throw new Error(`ReactiveStore: Patch test failed for path '${op.path}'.`);
+                }
+                break;
+            }
+
+            default:
+                throw new Error(`ReactiveStore: Unknown patch operation '${op.op}'.`);
+        }
+    }
+}
@@ -0,0 +1,103 @@
+/**
+ * Parse a path string into tokens.
+ * Keys are separated by dots. Dots (and other special characters) can be escaped with a backslash (e.g. 'emails.a@b\\.com'),
+ * or keys can be wrapped in brackets, either quoted or not (e.g. 'files["a.b.json"].size' or 'list[3]').
+ * @param {string} path - Path string.
+ * @returns {string[]} Path tokens.
+ */
+export function parsePath(path) {
+    // Most paths don't use any special syntax, so skip the full parse for them
+    if (!path.includes('\\') && !path.includes('[')) {
+        return path.split('.');
+    }
+
+    const tokens = [],
+        invalid = () => new Error(`ReactiveStore: Invalid path '${path}'.`);
+
+    let token = '',
+        idx = 0,
+        // Whether or not the current token was closed by a bracket (so that it isn't pushed again when the next separator is reached)
+        closed = false;
+
+    while (idx < path.length) {
+        const char = path[idx];
+
+        if (char === '\\') {
+            if (closed || idx === path.length - 1) throw invalid();
+
+            token += path[idx + 1];
+            idx += 2;
+
+        } else if (char === '.') {
+            if (!closed) {
+                tokens.push(token);
+            }
+
+            token = '';
+            closed = false;
+            idx++;
+
+        } else if (char === '[') {
+            // Brackets end any key that comes right before them (e.g. 'list[3]' is the same as 'list.3')
+            if (!closed && token) {
+                tokens.push(token);
+            }
+
+            const quote = path[idx + 1];
+
+            token = '';
+            idx++;
+
+            if (quote === '"' || quote === '\'') {
+                idx++;
+
+                while (idx < path.length && path[idx] !== quote) {
+                    if (path[idx] === '\\') idx++;
+
+                    token += path[idx];
+                    idx++;
+                }
+
+                // Skip the closing quote
+                idx++;
+            } else {
+                while (idx < path.length && path[idx] !== ']') {
+                    token += path[idx];
+                    idx++;
+                }
+            }
+
+            if (path[idx] !== ']') throw invalid();
+
+            tokens.push(token);
+            token = '';
+            closed = true;
+            idx++;
+
+            // Only a separator or another bracket can follow a bracket
+            if (idx < path.length && path[idx] !== '.' && path[idx] !== '[') throw invalid();
+
+        } else {
+            if (closed) throw invalid();
+
+            token += char;
+            idx++;
+        }
+    }
+
+    if (!closed) {
+        tokens.push(token);
+    }
+
+    return tokens;
+}
+
+/**
+ * Format path tokens into a path string (escaping any special characters in them).
+ * Paths with the same tokens are always formatted the same way, so this is used as the canonical form of a path.
+ * @param {string[]} tokens - Path tokens.
+ * @returns {string} Path string.
+ */
+export function formatPath(tokens) {
+    return tokens.map(token => String(token).replace(/[\\.[]/g, '\\$&')).join('.');
+}
@@ -0,0 +1,230 @@
+import { isObject } from './helpers.js';
+
+// Map of type names -> encode/decode functions for values that JSON can't represent on its own
+const encodedTypes = new Map([
+    ['Date', {
+        test: value => value instanceof Date,
+        encode: value => value.getTime(),
+        decode: value => new Date(value)
+    }],
+    ['Map', {
+        test: value => value instanceof Map,
+        encode: value => Array.from(value),
+        decode: value => new Map(value)
+    }],
+    ['Set', {
+        test: value => value instanceof Set,
+        encode: value => Array.from(value),
+        decode: value => new Set(value)
+    }],
+    ['RegExp', {
+        test: value => value instanceof RegExp,
+        encode: value => [value.source, value.flags],
+        decode: ([source, flags]) => new RegExp(source, flags)
+    }]
+]);
+
+/**
+ * Default serializer. Works like JSON, but also preserves Date, Map, Set and RegExp instances.
+ */
+export const jsonSerializer = {
+    serialize(value) {
+        return JSON.stringify(value, function (key, jsonValue) {
+            // NOTE: Using this[key] because Dates have already been converted by toJSON at this point
+            const rawValue = this[key];
+
+            for (const [type, { test, encode }] of encodedTypes) {
+                if (test(rawValue)) {
+                    return { $type: type, value: encode(rawValue) };
+                }
+            }
+
+            return jsonValue;
+        });
+    },
+
+    deserialize(string) {
+        return JSON.parse(string, (key, value) => {
+            if (isObject(value) && encodedTypes.has(value.$type)) {
+                return encodedTypes.get(value.$type).decode(value.value);
+            }
+
+            return value;
+        });
+    }
+};
+
+/**
+ * Create a storage adapter that keeps items in memory (same interface as localStorage/sessionStorage).
+ * @returns {Object} Storage adapter.
+ */
+export function createMemoryAdapter() {
+    const items = new Map();
+
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+/**
+ * Hydrate the store from storage and keep writing the persisted paths back to storage after each batch of changes.
+ * @param {ReactiveStore} store - Store to persist.
+ * @param {Object} options - See ReactiveStore.prototype.persist.
+ * @returns {Object} Persistence handle.
+ */
+export function persistStore(store, {
+    key,
+    adapter = (typeof localStorage !== 'undefined') ? localStorage : undefined,
+    paths,
+    throttle = 0,
+    version = 0,
+    migrate,
+    serializer = jsonSerializer,
+    onError
+}) {
+    const { ROOT, DELETE } = store.constructor;
+
+    if (typeof key !== 'string' || !key) {
+        throw new Error('ReactiveStore: You must provide a storage key to persist the store.');
+    }
+
+    if (!adapter || !(adapter.getItem instanceof Function) || !(adapter.setItem instanceof Function)) {
+        throw new Error('ReactiveStore: You must provide a storage adapter with getItem and setItem functions to persist the store.');
+    }
+
+    const pathDataList = paths && paths.map(path => store._getPathData(path)),
+        pathTokens = pathDataList && pathDataList.map(({ tokens }) => tokens);
+
+    let hydrating = false,
+        stopped = false,
+        timeout = null;
+
+    // Get the current persisted data (root value or path -> value map of the persisted paths that exist)
+    const getData = () => {
+        if (!paths) return store.data;
+
+        const data = {};
+
+        pathDataList.forEach(({ path, tokens }) => {
+            const value = tokens.reduce((current, token) => store.constructor._valueAtKey(current, token), store.data);
+
+            if (value !== DELETE) {
+                data[path] = value;
+            }
+        });
+
+        return data;
+    };
+
+    const write = () => {
+        clearTimeout(timeout);
+        timeout = null;
+
+        adapter.setItem(key, serializer.serialize({ version, data: getData() }));
+    };
+
+    const hydrate = (stored) => {
+        if (stopped || stored === null || stored === undefined) return;
+
+        let data;
+
+        try {
+            const { version: storedVersion, data: storedData } = serializer.deserialize(stored);
+
+            data = storedData;
+
+            if (storedVersion !== version) {
+                // Discard stored data from other versions unless it can be migrated
+                if (!(migrate instanceof Function)) return;
+
+                data = migrate(data, storedVersion);
+            }
+        } catch (error) {
+            // Remove stored data that is corrupt (or fails to migrate) and keep the current data instead
+            if (adapter.removeItem instanceof Function) {
+                adapter.removeItem(key);
+            }
+
+            if (onError instanceof Function) {
+                onError(error);
+            }
+
+            return;
+        }
+
+        hydrating = true;
+
+        try {
+            store.noMutation(() => {
+                if (!paths) {
+                    store.set(data);
+                } else if (isObject(data)) {
+                    store.assign(pathDataList.reduce((pathValueMap, { path }) => {
+                        if (data.hasOwnProperty(path)) {
+                            pathValueMap[path] = data[path];
+                        }
+
+                        return pathValueMap;
+                    }, {}));
+                }
+            });
+        } finally {
+            hydrating = false;
+        }
+    };
+
+    // Only write if a changed path is at, above, or below a persisted path
+    const isPersisted = ({ path }) => {
+        if (!paths || path === ROOT) return true;
+
+        const { tokens } = store._getPathData(path);
+
+        return pathTokens.some(persistedTokens => persistedTokens.every((token, idx) => idx >= tokens.length || tokens[idx] === token));
+    };
+
+    const listener = store.onChange((records) => {
+        if (hydrating || !records.some(isPersisted)) return;
+
+        if (throttle > 0) {
+            if (!timeout) {
+                timeout = setTimeout(write, throttle);
+            }
+        } else {
+            write();
+        }
+    });
+
+    // Support async adapters (e.g. IndexedDB wrappers) that return a Promise from getItem
+    const stored = adapter.getItem(key),
+        ready = (stored && stored.then instanceof Function)
+            ? stored.then(hydrate)
+            : Promise.resolve(hydrate(stored));
+
+    return {
+        ready,
+
+        // Write any pending changes to storage right away
+        flush() {
+            if (timeout) write();
+        },
+
+        // Stop persisting changes (pending changes are written first)
+        stop() {
+            this.flush();
+            listener.stop();
+            stopped = true;
+        },
+
+        // Remove the persisted data from storage
+        clear() {
+            clearTimeout(timeout);
+            timeout = null;
+
+            if (adapter.removeItem instanceof Function) {
+                adapter.removeItem(key);
+            }
+        }
+    };
+}
@@ -0,0 +1,107 @@
+import React, {
+    createContext,
+    useContext,
+    useMemo,
+    useSyncExternalStore
+} from 'react';
+import createSubscription from './subscription.js';
+import { formatPath } from './path.js';
+
+const StoreContext = createContext(null);
+
+// Key that identifies a path for hook dependencies (so that path arrays don't create a new subscription on every render)
+function pathKey(path) {
+    return Array.isArray(path) ? `[${formatPath(path)}]` : path;
+}
+
+/**
+ * Subscribe to a value read from the store and return its current value.
+ * @param {ReactiveStore|StoreScope} store - Store (or scope) to read from.
+ * @param {Function} read - Function that reads the value from the store.
+ * @param {any[]} deps - Values that read depends on (a new subscription is created when they change).
+ * @returns {any} Current value.
+ */
+function useSubscription(store, read, deps) {
+    const subscription = useMemo(() => createSubscription(store, read), [store, ...deps]);
+
+    return useSyncExternalStore(subscription.subscribe, subscription.getSnapshot, subscription.getSnapshot).value;
+}
+
+/**
+ * Get the value at path (the component only re-renders when the value at path changes).
+ * @param {ReactiveStore|StoreScope} store
+ * @param {path} [path] - Path of store value (root value if not provided).
+ * @returns {any} Current value at path.
+ */
+export function useStoreValue(store, path) {
+    return useSubscription(store, () => store.get(path), [pathKey(path)]);
+}
+
+/**
+ * Check if path exists (the component only re-renders when the result changes).
+ * @param {ReactiveStore|StoreScope} store
+ * @param {path} path - Path of store value.
+ * @returns {boolean} Whether or not the path exists.
+ */
+export function useStoreHas(store, path) {
+    return useSubscription(store, () => store.has(path), [pathKey(path)]);
+}
+
+/**
+ * Check equality of the value at path against value (the component only re-renders when the result changes).
+ * @param {ReactiveStore|StoreScope} store
+ * @param {path} path - Path of store value.
+ * @param {any} value - Comparison value (Objects should be memoized so that a new subscription isn't created on every render).
+ * @returns {boolean} Equality of the values.
+ */
+export function useStoreEquals(store, path, value) {
+    return useSubscription(store, () => store.equals(path, value), [pathKey(path), value]);
+}
+
+/**
+ * Get the result of a selector function (the component only re-renders when the result changes under isEqual).
+ * @param {ReactiveStore|StoreScope} store
+ * @param {Function} selector - Function that takes the store and returns the derived value (should be memoized, e.g. with useCallback).
+ * @param {Function} [isEqual] - Function that takes (oldResult, newResult) and returns true if they are equal (deep equality by default).
+ * @returns {any} Current result of the selector.
+ */
+export function useStoreSelector(store, selector, isEqual) {
+    // NOTE: select only invalidates the subscription when the result changes, so every rerun of the subscription is a change
+    return useSubscription(store, () => store.select(selector, isEqual), [selector, isEqual]);
+}
+
+/**
+ * Provide a store (or scope) to child components.
+ * @param {Object} props
+ * @param {ReactiveStore|StoreScope} props.store - Store to provide.
+ * @param {any} props.children
+ */
+export function StoreProvider({ store, children }) {
+    return React.createElement(StoreContext.Provider, { value: store }, children);
+}
+
+/**
+ * Get the store provided by the closest StoreProvider.
+ * @returns {ReactiveStore|StoreScope} Provided store.
+ */
+export function useStore() {
+    const store = useContext(StoreContext);
+
+    if (!store) {
+        throw new Error('ReactiveStore: useStore must be used inside of a StoreProvider.');
+    }
+
+    return store;
+}
+
+/**
+ * Get a scope of the provided store (see ReactiveStore.prototype.scope), e.g. to pass a subtree of the store down to child components.
+ * @param {path} [path] - Path of the scope relative to the provided store (the provided store itself if not provided).
+ * @returns {ReactiveStore|StoreScope} Scoped store.
+ */
+export function useScopedStore(path) {
+    const store = useStore(),
+        key = pathKey(path);
+
+    return useMemo(() => ((path === undefined) ? store : store.scope(path)), [store, key]);
+}
@@ -0,0 +1,158 @@
+import { describe, it } from 'node:test';
+import assert from 'assert';
+import React from 'react';
+import TestRenderer from 'react-test-renderer';
+import ReactiveStore from 'meteor-reactive-store';
+import {
+    useStoreValue,
+    useStoreHas,
+    useStoreEquals,
+    useStoreSelector,
+    StoreProvider,
+    useStore,
+    useScopedStore
+} from 'meteor-reactive-store/react';
+
+const { act } = TestRenderer,
+    h = React.createElement,
+    reactivity = ReactiveStore.getReactivityAdapter();
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+// Render an element and return the renderer along with a function that returns the rendered text
+function render(element) {
+    let renderer;
+
+    act(() => {
+        renderer = TestRenderer.create(element);
+    });
+
+    return { renderer, text: () => renderer.toJSON() };
+}
+
+// Run a store update and rerun any invalidated computations (and the renders they trigger)
+function update(fn) {
+    act(() => {
+        fn();
+        reactivity.flush();
+    });
+}
+
+// Component that renders the result of a hook and counts its renders
+function createProbe(useValue) {
+    const probe = { renders: 0 };
+
+    probe.Component = (props) => {
+        probe.renders++;
+        return String(useValue(props));
+    };
+
+    return probe;
+}
+
+// React hooks (run with npm run test:node)
+describe('react.js', () => {
+    it('useStoreValue should only re-render when the value at path changes', () => {
+        const store = new ReactiveStore({ user: { name: 'a' }, other: 1 }),
+            probe = createProbe(() => useStoreValue(store, 'user.name')),
+            { text } = render(h(probe.Component));
+
+        assert.equal(text(), 'a');
+
+        update(() => store.assign('other', 2));
+        assert.equal(probe.renders, 1);
+
+        update(() => store.assign('user.name', 'b'));
+        assert.equal(text(), 'b');
+        assert.equal(probe.renders, 2);
+    });
+
+    it('useStoreHas should re-render when the path is added or removed', () => {
+        const store = new ReactiveStore({}),
+            probe = createProbe(() => useStoreHas(store, ['a.b'])),
+            { text } = render(h(probe.Component));
+
+        assert.equal(text(), 'false');
+
+        update(() => store.assign(['a.b'], 1));
+        assert.equal(text(), 'true');
+
+        update(() => store.assign(['a.b'], 2));
+        assert.equal(probe.renders, 2);
+
+        update(() => store.delete(['a.b']));
+        assert.equal(text(), 'false');
+    });
+
+    it('useStoreEquals should only re-render when the result flips', () => {
+        const store = new ReactiveStore({ status: 'open' }),
+            probe = createProbe(() => useStoreEquals(store, 'status', 'closed')),
+            { text } = render(h(probe.Component));
+
+        assert.equal(text(), 'false');
+
+        update(() => store.assign('status', 'pending'));
+        assert.equal(probe.renders, 1);
+
+        update(() => store.assign('status', 'closed'));
+        assert.equal(text(), 'true');
+        assert.equal(probe.renders, 2);
+    });
+
+    it('useStoreSelector should only re-render when the selected result changes', () => {
+        const store = new ReactiveStore({ todos: [{ done: false }, { done: true }] }),
+            selectDoneCount = s => s.get('todos').filter(todo => todo.done).length,
+            probe = createProbe(() => useStoreSelector(store, selectDoneCount)),
+            { text } = render(h(probe.Component));
+
+        assert.equal(text(), '1');
+
+        update(() => store.push('todos', { done: false }));
+        assert.equal(probe.renders, 1);
+
+        update(() => store.assign('todos.0.done', true));
+        assert.equal(text(), '2');
+        assert.equal(probe.renders, 2);
+    });
+
+    it('StoreProvider/useStore/useScopedStore should provide the store and scopes of it', () => {
+        const store = new ReactiveStore({ forms: { signup: { email: 'a@b.c' } } }),
+            seen = {};
+
+        const Field = () => {
+            seen.store = useStore();
+            seen.root = useScopedStore();
+
+            const form = useScopedStore('forms.signup');
+
+            return useStoreValue(form, 'email');
+        };
+
+        const { text } = render(h(StoreProvider, { store }, h(Field)));
+
+        assert.equal(text(), 'a@b.c');
+        assert.equal(seen.store, store);
+        assert.equal(seen.root, store);
+
+        update(() => store.assign('forms.signup.email', 'x@y.z'));
+        assert.equal(text(), 'x@y.z');
+    });
+
+    it('useStore should throw outside of a StoreProvider', () => {
+        const Component = () => {
+            useStore();
+            return null;
+        };
+
+        const { error } = console;
+
+        // NOTE: React logs errors thrown while rendering
+        console.error = () => {};
+
+        try {
+            assert.throws(() => render(h(Component)), /inside of a StoreProvider/);
+        } finally {
+            console.error = error;
+        }
+    });
+});
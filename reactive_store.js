@@ -1,25 +1,83 @@
-import { Tracker } from 'meteor/tracker';
 import {
     isObject,
     useStrictEqualityCheck,
     ensureDepNode,
-    setsAreEqual
-} from './helpers';
+    hasDependents,
+    setsAreEqual,
+    mapsAreEqual,
+    isPattern,
+    matchPattern,
+    isDevelopment,
+    shallowClone,
+    addPlugin
+} from './helpers.js';
+import { compileSchema, checkRule } from './schema.js';
+import { persistStore, createMemoryAdapter, jsonSerializer } from './persistence.js';
+import { applyPatch, createPatch } from './patch.js';
+import StoreScope from './scope.js';
+import createSubscription from './subscription.js';
+import { bindTemplate } from './blaze.js';
+import { bindCursor } from './cursor.js';
+import { createPublication, subscribeStore } from './ddp.js';
+import {
+    Reactivity,
+    setReactivityAdapter,
+    getReactivityAdapter,
+    createTrackerAdapter,
+    createStandaloneAdapter
+} from './reactivity.js';
+import {
+    syncStore,
+    createMemoryTransport,
+    createBroadcastChannelTransport,
+    createStorageTransport
+} from './sync.js';
+import { parsePath, formatPath } from './path.js';
  
 /**
- * @typedef path - Dot-notated store path.
- * @type {string}
+ * @typedef path - Dot-notated store path (dots can be escaped with a backslash, and keys can be wrapped in brackets), or an array of path tokens.
+ * @type {string|string[]}
  * 
  * @typedef DepNode - Dependency node object.
  * @type {Object}
- * @property {Tracker.Dependency} [dep] - Tracker dependency associated with this node.
+ * @property {Object} [dep] - Dependency (created by the reactivity adapter) associated with this node.
  * @property {Object.<string, DepNode>} subDeps - Map of subKeys -> subDepNodes
  * 
  * @typedef Mutator - Assignment mutator function.
  * @type {Function}
  * @param {any} value - Assigned value
  * @param {ReactiveStore} store - Current ReactiveStore instance
+ * @param {Object} info - Extra info about the assignment
+ * @param {string[]} info.params - Keys matched by the wildcard segments of the mutator path (empty for exact paths)
  * @returns {any} Mutated value
+ * 
+ * @typedef ChangeRecord - Description of a single committed change in the store.
+ * @type {Object}
+ * @property {path|Symbol} path - Changed path (ReactiveStore.ROOT for the root value).
+ * @property {string} type - Operation that caused the change ('set', 'assign' or 'delete').
+ * @property {any} oldValue - Previous value at path (ReactiveStore.DELETE if it did not exist).
+ * @property {any} newValue - New value at path (ReactiveStore.DELETE if it was deleted).
+ * 
+ * @typedef ChangeListener - Change listener function.
+ * @type {Function}
+ * @param {ChangeRecord[]} records - All matching changes committed in a single batch
+ * @param {ReactiveStore} store - Current ReactiveStore instance
+ * 
+ * @typedef Plugin - Object of hook functions that run around store operations (all hooks are optional).
+ * Before hooks return the value to write (or ReactiveStore.CANCEL to cancel the operation), and the return values of after hooks are ignored.
+ * @type {Object}
+ * @property {Function} [beforeSet] - (value, info) => value; Called before the root value is replaced with set.
+ * @property {Function} [afterSet] - (value, info) => void; Called after the root value has been replaced with set.
+ * @property {Function} [beforeAssign] - (value, info) => value; Called before a value is assigned to a path (before its mutator runs).
+ * @property {Function} [afterAssign] - (value, info) => void; Called after a value has been written to a path.
+ * @property {Function} [beforeDelete] - (value, info) => value; Called with ReactiveStore.DELETE before a path is deleted (before its mutator runs).
+ * @property {Function} [afterCommit] - (records, store) => void; Called with all ChangeRecords of a batch after it has been committed.
+ * 
+ * @typedef HookInfo - Extra info passed to set/assign/delete hooks.
+ * @type {Object}
+ * @property {path|Symbol} path - Path of the operation in canonical form (ReactiveStore.ROOT for set).
+ * @property {any} oldValue - Current value at path (ReactiveStore.DELETE if it does not exist).
+ * @property {ReactiveStore} store - Current ReactiveStore instance
  */
 
 /**
@@ -29,17 +87,60 @@ export default class ReactiveStore {
     /**
      * @param {any} data - Initial root value.
      * @param {Object.<path, Mutator>} mutatorMap - path -> Mutator map
+     * @param {Object} [options] - Additional store options.
+     * @param {boolean|Object} [options.history] - Enable undo/redo history (see enableHistory for accepted options).
+     * @param {Object.<path, Object>} [options.schema] - Validation schema (see setSchema).
+     * @param {string} [options.schemaMode] - Validation mode (see setSchema).
+     * @param {Object} [options.persist] - Persistence options (see persist).
+     * @param {Object} [options.sync] - Sync options (see sync).
+     * @param {string} [options.idKey='_id'] - Key that identifies array items for getById.
      */
-    constructor(data, mutatorMap) {
+    constructor(data, mutatorMap, options = {}) {
         this._isTraversable = ReactiveStore.isTraversable(data);
-        this._changeData = { deps: new Set(), opCount: 0 };
+        this._changeData = {
+            deps: new Set(),
+            records: [],
+            // Async assignments started in the current batch (so that they can be discarded if it is rolled back)
+            pending: [],
+            opCount: 0
+        };
         this._pathData = new Map();
+        this._patternMutators = new Map();
+        this._observers = new Set();
+        this._plugins = [];
+        this._history = null;
+        this._schema = null;
+        this._errors = new Map();
+        this._errorsDep = Reactivity.createDependency();
         this._noMutate = false;
+        this._idKey = options.idKey || '_id';
+        this._immutable = Boolean(options.immutable);
+        this._freeze = this._immutable && (isObject(options.immutable) && options.immutable.freeze !== undefined ? Boolean(options.immutable.freeze) : isDevelopment());
+        // Computation -> dep nodes/pathData objects that it depends on (and the ones to clean up after the next flush)
+        this._trackedComputations = new Map();
+        this._cleanupQueue = { depNodes: new Set(), pathDatas: new Set() };
+        this._cleanupScheduled = false;
 
         this.updateMutators(mutatorMap);
+
+        if (options.history) {
+            this.enableHistory(isObject(options.history) ? options.history : undefined);
+        }
         
         ensureDepNode(this, ReactiveStore.ROOT);
-        this.data = data;
+        this.data = this._freezeValue(data);
+
+        if (options.schema) {
+            this.setSchema(options.schema, { mode: options.schemaMode });
+        }
+
+        if (options.persist) {
+            this.persist(options.persist);
+        }
+
+        if (options.sync) {
+            this.sync(options.sync);
+        }
     }
 
     // Symbol that represents the 'path' to the root value
@@ -54,10 +155,47 @@ export default class ReactiveStore {
     // Symbol that marks a value that would normally be traversable as non-traversable
     static SHALLOW = Symbol('SHALLOW_STORE_DATA');
 
+    // Storage adapter factory that keeps persisted data in memory
+    static createMemoryAdapter = createMemoryAdapter;
+
+    // Path string -> tokens parser (supports escaped dots and bracket notation)
+    static parsePath = parsePath;
+
+    // Path tokens -> canonical path string formatter
+    static formatPath = formatPath;
+
+    // Set/get the reactivity adapter used by every store (Tracker in Meteor, a standalone implementation otherwise)
+    static setReactivityAdapter = setReactivityAdapter;
+
+    static getReactivityAdapter = getReactivityAdapter;
+
+    // Reactivity adapter factories
+    static createTrackerAdapter = createTrackerAdapter;
+
+    static createStandaloneAdapter = createStandaloneAdapter;
+
+    // External store subscription factory for UI layers (see subscription.js)
+    static createSubscription = createSubscription;
+
+    // Sync transport factories (in-memory for tests, BroadcastChannel and storage events for windows/tabs)
+    static createMemoryTransport = createMemoryTransport;
+
+    static createBroadcastChannelTransport = createBroadcastChannelTransport;
+
+    static createStorageTransport = createStorageTransport;
+
+    // Default persistence serializer (JSON that also preserves Date, Map, Set and RegExp instances)
+    static jsonSerializer = jsonSerializer;
+
+    // Maximum number of parsed paths to keep cached per store before the oldest unused ones are dropped
+    static pathCacheLimit = 10000;
+
     // Map of constructors to equality check functions
     static eqCheckMap = new Map([
         [
             Set, setsAreEqual
+        ], [
+            Map, mapsAreEqual
         ], [
             Date, function (oldDate, newDate) {
                 return (
@@ -97,10 +235,74 @@ export default class ReactiveStore {
         ReactiveStore.eqCheckMap.delete(constructor);
     }
 
-    // Returns true if the given value is traversable (is Object/Array and doesn't have ReactiveStore.SHALLOW as a key set to true)
+    // Map of constructors to traversal functions for traversable types other than plain Objects/Arrays
+    static traversableTypeMap = new Map([
+        [
+            Map, {
+                // NOTE: Only string keys can be addressed by paths
+                keys: map => Array.from(map.keys()).filter(key => typeof key === 'string'),
+                has: (map, key) => map.has(key),
+                get: (map, key) => map.get(key),
+                set: (map, key, value) => map.set(key, value),
+                delete: (map, key) => map.delete(key),
+                create: () => new Map()
+            }
+        ]
+    ]);
+
+    // Make instances of the given constructor traversable (so that paths can be resolved into them and they are deeply diffed)
+    static addTraversableType(constructor, traversal) {
+        const functionNames = ['keys', 'get', 'set', 'delete', 'create'];
+
+        if (!(constructor instanceof Function) || !isObject(traversal) || !functionNames.every(name => traversal[name] instanceof Function)) {
+            throw new Error(`You must provide a valid constructor function/class and an Object with ${functionNames.join('/')} functions.`);
+        }
+
+        ReactiveStore.traversableTypeMap.set(constructor, {
+            has: (value, key) => traversal.keys(value).includes(key),
+            ...traversal
+        });
+    }
+
+    // Remove traversal functions for instances of the given constructor
+    static removeTraversableType(constructor) {
+        if (!(constructor instanceof Function)) {
+            throw new Error('You must provide a valid constructor function/class.');
+        }
+
+        ReactiveStore.traversableTypeMap.delete(constructor);
+    }
+
+    // Plugins that are used by every store (they run before the plugins of the store itself)
+    static plugins = [];
+
+    /**
+     * Use the given plugin for every store (see ReactiveStore.prototype.use).
+     * @param {Plugin} plugin
+     * @returns {Object} Handle with a stop function that removes the plugin.
+     */
+    static use(plugin) {
+        return addPlugin(ReactiveStore.plugins, plugin);
+    }
+
+    /**
+     * Subscribe to a store publication (see ReactiveStore.prototype.publish) and get a read-only store that mirrors the published paths.
+     * @param {string} name - Publication name.
+     * @param {...any} args - Publication arguments, optionally followed by an Object with onReady/onStop/onError callbacks (like Meteor.subscribe) and/or a connection (Meteor.connection by default).
+     * @returns {ReactiveStore} Read-only store whose subscription property is the DDP subscription handle.
+     */
+    static subscribe(name, ...args) {
+        return subscribeStore(ReactiveStore, name, args);
+    }
+
+    // Returns true if the given value is traversable (is Object/Array/registered traversable type and doesn't have ReactiveStore.SHALLOW as a key set to true)
     static isTraversable(value) {
         // NOTE: Being very specific about shallow check because Symbol polyfill seems to add all symbols to all objects by default set to undefined (so 'ReactiveStore.SHALLOW in value' would always be true).
-        return (isObject(value) || Array.isArray(value)) && (value[ReactiveStore.SHALLOW] !== true);
+        return (
+            isObject(value)
+            || Array.isArray(value)
+            || (value instanceof Object && ReactiveStore.traversableTypeMap.has(value.constructor))
+        ) && (value[ReactiveStore.SHALLOW] !== true);
     }
 
     // Wrapper for traversable values that marks them to not be traversed for changes/sub-deps
@@ -112,10 +314,67 @@ export default class ReactiveStore {
         return value;
     }
 
+    // Returns true if obj has keys that its traversal doesn't return (i.e. Maps with non-string keys)
+    static _hasUnaddressableKeys(obj) {
+        return obj instanceof Map && ReactiveStore._keysOf(obj).length !== obj.size;
+    }
+
     // Return obj[key] if obj is traversable and key is an enumerable property within it; otherwise, return ReactiveStore.DELETE to indicate nonexistant value
     static _valueAtKey(obj, key) {
-        const keyExists = (ReactiveStore.isTraversable(obj) && obj.propertyIsEnumerable(key));
-        return keyExists ? obj[key] : ReactiveStore.DELETE;
+        if (!ReactiveStore.isTraversable(obj)) return ReactiveStore.DELETE;
+
+        const traversal = ReactiveStore.traversableTypeMap.get(obj.constructor);
+
+        if (traversal) {
+            return traversal.has(obj, key) ? traversal.get(obj, key) : ReactiveStore.DELETE;
+        }
+
+        return obj.propertyIsEnumerable(key) ? obj[key] : ReactiveStore.DELETE;
+    }
+
+    // Return the keys of the given traversable value
+    static _keysOf(obj) {
+        const traversal = ReactiveStore.traversableTypeMap.get(obj.constructor);
+        return traversal ? traversal.keys(obj) : Object.keys(obj);
+    }
+
+    // Set obj[key] to the given value for the given traversable value
+    static _setKey(obj, key, value) {
+        const traversal = ReactiveStore.traversableTypeMap.get(obj.constructor);
+
+        if (traversal) {
+            traversal.set(obj, key, value);
+        } else {
+            obj[key] = value;
+        }
+    }
+
+    // Delete key from the given traversable value
+    static _deleteKey(obj, key) {
+        const traversal = ReactiveStore.traversableTypeMap.get(obj.constructor);
+
+        if (traversal) {
+            traversal.delete(obj, key);
+        } else {
+            delete obj[key];
+        }
+    }
+
+    // Return a shallow copy of the given traversable value
+    static _clone(obj) {
+        const traversal = ReactiveStore.traversableTypeMap.get(obj.constructor);
+
+        if (traversal) {
+            const clone = traversal.create();
+
+            for (const key of traversal.keys(obj)) {
+                traversal.set(clone, key, traversal.get(obj, key));
+            }
+
+            return clone;
+        }
+
+        return shallowClone(obj);
     }
 
     /**
@@ -126,18 +385,76 @@ export default class ReactiveStore {
     get(path = ReactiveStore.ROOT) {
         const { depNode, value } = this._findProperty(path);
 
-        if (Tracker.active) {
+        if (Reactivity.isActive()) {
             // Ensure that valueDep exists and depend on it
             if (!depNode.valueDep) {
-                depNode.valueDep = new Tracker.Dependency();
+                depNode.valueDep = Reactivity.createDependency();
             }
 
             depNode.valueDep.depend();
+            this._trackComputation(depNode);
         }
 
         return value;
     }
 
+    /**
+     * Get every existing value whose path matches the given pattern (and register dependencies for the matched values and wildcard levels if reactive)
+     * @param {path} pattern - Path pattern with '*' (any single key) and/or '**' (one or more keys) segments.
+     * @returns {Object.<path, any>} Map of matching paths -> values.
+     */
+    getAll(pattern) {
+        const patternTokens = this._getPathData(pattern).tokens,
+            pathValueMap = {};
+
+        const collect = (tokenIdx, pathTokens) => {
+            const path = pathTokens.length ? pathTokens : ReactiveStore.ROOT;
+
+            if (tokenIdx === patternTokens.length) {
+                if (this.has(path)) {
+                    pathValueMap[formatPath(pathTokens)] = this.get(path);
+                }
+
+                return;
+            }
+
+            const token = patternTokens[tokenIdx];
+
+            if (token === '*') {
+                // Only depend on the keys at wildcard levels so that changes to non-matching values don't cause re-runs
+                for (const key of this.keys(path)) {
+                    collect(tokenIdx + 1, [...pathTokens, key]);
+                }
+            } else if (token === '**') {
+                const trailing = (tokenIdx === patternTokens.length - 1);
+
+                for (const key of this.keys(path)) {
+                    const keyTokens = [...pathTokens, key];
+
+                    if (!trailing) {
+                        collect(tokenIdx + 1, keyTokens);
+                        collect(tokenIdx, keyTokens);
+                    } else {
+                        // A trailing '**' only matches leaf values (anything that is not a non-empty Object/Array)
+                        const value = Reactivity.nonreactive(() => this._findProperty(keyTokens).value);
+
+                        if (ReactiveStore.isTraversable(value) && ReactiveStore._keysOf(value).length) {
+                            collect(tokenIdx, keyTokens);
+                        } else {
+                            collect(tokenIdx + 1, keyTokens);
+                        }
+                    }
+                }
+            } else {
+                collect(tokenIdx + 1, [...pathTokens, token]);
+            }
+        };
+
+        collect(0, []);
+
+        return pathValueMap;
+    }
+
     /**
      * Get existence of path (and register dependency if reactive)
      * @param {path} path - Store path to check.
@@ -146,19 +463,151 @@ export default class ReactiveStore {
     has(path) {
         const { depNode, exists } = this._findProperty(path);
 
-        if (Tracker.active) {
+        if (Reactivity.isActive()) {
             // Ensure that existsDep exists and depend on it
             if (!depNode.existsDep) {
-                depNode.existsDep = new Tracker.Dependency();
+                depNode.existsDep = Reactivity.createDependency();
                 depNode.exists = exists;
             }
 
             depNode.existsDep.depend();
+            this._trackComputation(depNode);
         }
 
         return exists;
     }
 
+    /**
+     * Get keys of the value at path (and register keys dependency if reactive)
+     * @param {path} [path] - Path of store value.
+     * @returns {string[]} Keys of the value at path (empty if the value is not traversable).
+     */
+    keys(path = ReactiveStore.ROOT) {
+        const { depNode, value } = this._findProperty(path),
+            keys = ReactiveStore.isTraversable(value) ? ReactiveStore._keysOf(value) : [];
+
+        if (Reactivity.isActive()) {
+            // Ensure that keysDep exists and depend on it
+            if (!depNode.keysDep) {
+                depNode.keysDep = Reactivity.createDependency();
+                depNode.keySet = new Set(keys);
+            }
+
+            depNode.keysDep.depend();
+            this._trackComputation(depNode);
+        }
+
+        return keys;
+    }
+
+    /**
+     * Get number of keys of the value at path (and register keys dependency if reactive)
+     * @param {path} [path] - Path of store value.
+     * @returns {number} Number of keys (0 if the value is not traversable).
+     */
+    size(path = ReactiveStore.ROOT) {
+        return this.keys(path).length;
+    }
+
+    /**
+     * Get [key, value] pairs of the value at path (and register keys dependency and value dependencies for each key if reactive)
+     * @param {path} [path] - Path of store value.
+     * @returns {Array[]} Array of [key, value] pairs (empty if the value is not traversable).
+     */
+    entries(path = ReactiveStore.ROOT) {
+        const tokens = (path === ReactiveStore.ROOT) ? [] : this._getPathData(path).tokens;
+
+        return this.keys(path).map(key => [key, this.get([...tokens, key])]);
+    }
+
+    /**
+     * Get length of the array at path (and register length dependency if reactive)
+     * @param {path} path - Path of store array.
+     * @returns {number} Length of the array (0 if the value at path is not an array).
+     */
+    length(path) {
+        const { depNode, value } = this._findProperty(path),
+            length = Array.isArray(value) ? value.length : 0;
+
+        if (Reactivity.isActive()) {
+            // Ensure that lengthDep exists and depend on it
+            if (!depNode.lengthDep) {
+                depNode.lengthDep = Reactivity.createDependency();
+                depNode.length = length;
+            }
+
+            depNode.lengthDep.depend();
+            this._trackComputation(depNode);
+        }
+
+        return length;
+    }
+
+    /**
+     * Get the item in the array at path whose id key matches the given id (and register a dependency that follows the item if reactive)
+     * @param {path} path - Path of store array.
+     * @param {any} id - Id of the item.
+     * @returns {any} The item (undefined if it doesn't exist).
+     */
+    getById(path, id) {
+        const { depNode, value } = this._findProperty(path),
+            item = this._findById(value, id);
+
+        if (Reactivity.isActive()) {
+            // Ensure that a dep node exists for the id and depend on its valueDep
+            if (!depNode.idDeps) {
+                depNode.idDeps = new Map();
+            }
+
+            if (!depNode.idDeps.has(id)) {
+                depNode.idDeps.set(id, { subDeps: {}, valueDep: Reactivity.createDependency() });
+            }
+
+            depNode.idDeps.get(id).valueDep.depend();
+            this._trackComputation(depNode);
+        }
+
+        return (item === ReactiveStore.DELETE) ? undefined : item;
+    }
+
+    /**
+     * Get the result of a selector function that derives a value from the store (and register a dependency on the result if reactive).
+     * The selector reruns whenever any store value it reads changes, but dependents are only invalidated when its result changes.
+     * @param {Function} selector - Function that takes the store and returns the derived value.
+     * @param {Function} [isEqual] - Function that takes (oldResult, newResult) and returns true if they are equal (deep equality by default).
+     * @returns {any} Current result of the selector.
+     */
+    select(selector, isEqual = (oldResult, newResult) => this._isEqual(oldResult, newResult)) {
+        if (!(selector instanceof Function)) {
+            throw new Error('ReactiveStore: You must provide a selector function to select a value.');
+        }
+
+        if (!Reactivity.isActive()) return selector(this);
+
+        const outerComputation = Reactivity.currentComputation();
+
+        let result;
+
+        // Run the selector in its own computation so that changes to the values it reads don't invalidate the current computation directly
+        Reactivity.nonreactive(() => {
+            const selectorComputation = Reactivity.autorun((computation) => {
+                const newResult = selector(this),
+                    // The same traversable reference may have been changed in place (unless values are immutable), so it can't be compared
+                    changedInPlace = !this._immutable && newResult === result && ReactiveStore.isTraversable(newResult);
+
+                if (!computation.firstRun && (changedInPlace || !isEqual(result, newResult))) {
+                    outerComputation.invalidate();
+                }
+
+                result = newResult;
+            });
+
+            outerComputation.onInvalidate(() => selectorComputation.stop());
+        });
+
+        return result;
+    }
+
     /**
      * @function equals - Check equality of root against comparison value (and register equality dependency if reactive)
      * 
@@ -184,16 +633,21 @@ export default class ReactiveStore {
             ([path, value] = params);
         }
 
-        // Throw error if we can't use strict equality check for value
         if (!useStrictEqualityCheck(value)) {
-            throw new Error('ReactiveStore: Only primitive values (number, string, boolean, undefined, null, symbol) and functions can be registered as equality dependencies.');
+            // Throw error if value can't be deeply compared
+            if (!ReactiveStore.isTraversable(value) && !ReactiveStore.eqCheckMap.has(value.constructor)) {
+                throw new Error('ReactiveStore: Only primitive values (number, string, boolean, undefined, null, symbol), functions, traversable values and values with equality checks can be registered as equality dependencies.');
+            }
+
+            // Deep values are compared in a selector (instead of getting an eqDepMap entry per value) so that dependents are only invalidated when the result flips
+            return this.select(() => this._isEqual(this.get(path), value));
         }
 
         // Ensure that equality dep exists for the given value and depend on it
         const search = this._findProperty(path),
             isEqual = (search.value === value);
 
-        if (Tracker.active) {
+        if (Reactivity.isActive()) {
             const { depNode } = search;
 
             let eqDep;
@@ -205,7 +659,7 @@ export default class ReactiveStore {
             }            
 
             if (!eqDep) {
-                eqDep = new Tracker.Dependency();
+                eqDep = Reactivity.createDependency();
                 depNode.eqDepMap.set(value, eqDep);
             }
 
@@ -214,6 +668,7 @@ export default class ReactiveStore {
             }
 
             eqDep.depend();
+            this._trackComputation(depNode);
         }
 
         return isEqual;
@@ -224,12 +679,40 @@ export default class ReactiveStore {
      * @param {any} value
      */
     set(value) {
+        const hookInfo = this._hasPlugins() && { path: ReactiveStore.ROOT, oldValue: this.data, store: this };
+
+        if (hookInfo) {
+            value = this._runHooks('beforeSet', value, hookInfo);
+
+            // Cancel operation if a plugin returned ReactiveStore.CANCEL
+            if (value === ReactiveStore.CANCEL) return;
+        }
+
+        // Skip the operation if value is invalid and invalid values should be rejected
+        if (this._schema && !this._validateAtPath(ReactiveStore.ROOT, value) && this._schema.mode === 'reject') return;
+
+        this._writeRoot(value);
+
+        if (hookInfo) {
+            this._runHooks('afterSet', value, hookInfo);
+        }
+    }
+
+    /**
+     * Write the root value and trigger any deps for changed values.
+     * @param {any} value
+     */
+    _writeRoot(value) {
         const oldValue = this.data;
         
         this._isTraversable = ReactiveStore.isTraversable(value);
-        this.data = value;
+        this.data = this._freezeValue(value);
 
-        this._watchChanges(() => this._triggerChangedDeps(this[ReactiveStore.ROOT], oldValue, value));
+        this._watchChanges(() => {
+            if (this._triggerChangedDeps(this[ReactiveStore.ROOT], oldValue, value)) {
+                this._addRecord(ReactiveStore.ROOT, 'set', oldValue, value);
+            }
+        });
     }
 
     /**
@@ -243,13 +726,14 @@ export default class ReactiveStore {
      * @param {Object.<path, any>} pathValueMap - Object map of path -> value pairs to be assigned.
      */
     assign(...params) {
-        const pathValueMap = (params.length >= 2)
-            ? { [params[0]]: params[1] }
-            : params[0];
+        // NOTE: Using entries instead of building a map for a single path so that path arrays are kept intact
+        const pathValueEntries = (params.length >= 2)
+            ? [[params[0], params[1]]]
+            : isObject(params[0]) && Object.entries(params[0]);
 
-        if (isObject(pathValueMap)) {
+        if (pathValueEntries) {
             this._watchChanges(() => {
-                for (const [path, value] of Object.entries(pathValueMap)) {
+                for (const [path, value] of pathValueEntries) {
                     this._setAtPath(path, value);
                 }
             });
@@ -271,6 +755,86 @@ export default class ReactiveStore {
         }
     }
 
+    /**
+     * Add items to the end of the array at path (the array will be created if the path doesn't exist).
+     * @param {path} path - Path of store array.
+     * @param {...any} items - Items to add.
+     * @returns {number} New length of the array.
+     */
+    push(path, ...items) {
+        let length = 0;
+
+        this._updateArray(path, (array) => {
+            array.push(...this._mutateItems(path, array.length, items));
+            ({ length } = array);
+        });
+
+        return length;
+    }
+
+    /**
+     * Remove and/or insert items in the array at path (works like Array.prototype.splice).
+     * @param {path} path - Path of store array.
+     * @param {number} start - Index to start at (negative values count back from the end).
+     * @param {number} [deleteCount] - Number of items to remove (all items after start if not provided).
+     * @param {...any} items - Items to insert at start.
+     * @returns {Array} Removed items.
+     */
+    splice(path, start, deleteCount, ...items) {
+        let removed = [];
+
+        this._updateArray(path, (array) => {
+            const startIdx = (start < 0) ? Math.max(array.length + start, 0) : Math.min(start, array.length);
+
+            removed = array.splice(
+                startIdx,
+                (deleteCount === undefined) ? array.length : deleteCount,
+                ...this._mutateItems(path, startIdx, items)
+            );
+        });
+
+        return removed;
+    }
+
+    /**
+     * Move an item in the array at path to another index.
+     * @param {path} path - Path of store array.
+     * @param {number} from - Current index of the item.
+     * @param {number} to - Index to move the item to.
+     */
+    move(path, from, to) {
+        this._updateArray(path, (array) => {
+            if (from >= 0 && from < array.length) {
+                array.splice(Math.max(0, Math.min(to, array.length - 1)), 0, ...array.splice(from, 1));
+            }
+        });
+    }
+
+    /**
+     * Remove every item in the array at path that the given predicate returns a truthy value for.
+     * @param {path} path - Path of store array.
+     * @param {Function} predicate - Function with parameters (item, index) that is called for each item.
+     * @returns {Array} Removed items.
+     */
+    removeWhere(path, predicate) {
+        const removed = [];
+
+        this._updateArray(path, (array) => {
+            const kept = array.filter((item, idx) => {
+                if (predicate(item, idx)) {
+                    removed.push(item);
+                    return false;
+                }
+
+                return true;
+            });
+
+            array.splice(0, array.length, ...kept);
+        });
+
+        return removed;
+    }
+
     /**
      * If root data is currently traversable, set it to a new instance of the current constructor.
      * Otherwise, set it to undefined.
@@ -289,7 +853,7 @@ export default class ReactiveStore {
         const pathData = this._getPathData(path);
 
         if (!pathData.abstract) {
-            path = String(path);
+            ({ path } = pathData);
             pathData.abstract = {
                 get: () => this.get(path),
                 equals: val => this.equals(path, val),
@@ -302,14 +866,45 @@ export default class ReactiveStore {
     }
 
     /**
-     * Update _pathData map with the given mutator functions.
+     * Create a view of the store that resolves every path relative to the given path.
+     * Created view is cached so that repeated calls for the same path will return the same view.
+     * @param {path} path - Path to scope to.
+     * @returns {StoreScope} Scoped view of the store.
+     */
+    scope(path) {
+        const pathData = this._getPathData(path);
+
+        if (!pathData.scope) {
+            pathData.scope = new StoreScope(this, pathData.path);
+        }
+
+        return pathData.scope;
+    }
+
+    /**
+     * @function updateMutators - Set the mutator function for the given path.
+     *
+     * @param {path} path - Path to set the mutator for.
+     * @param {Mutator} mutator - Mutator function.
+     *//**
+     * @function updateMutators - Update _pathData map with the given mutator functions.
+     * Paths can contain '*' (any single key) and '**' (one or more keys) segments, in which case the mutator is stored as a pattern mutator instead.
+     *
      * @param {Object.<path, Mutator>} mutatorMap - path -> Mutator map.
      */
-    updateMutators(mutatorMap) {
-        if (isObject(mutatorMap)) {
-            for (const [path, mutator] of Object.entries(mutatorMap)) {
-                if (mutator instanceof Function) {
-                    this._getPathData(path).mutate = mutator;
+    updateMutators(...params) {
+        const mutatorEntries = (params.length >= 2)
+            ? [[params[0], params[1]]]
+            : (isObject(params[0]) && Object.entries(params[0])) || [];
+
+        for (const [path, mutator] of mutatorEntries) {
+            if (mutator instanceof Function) {
+                const pathData = this._getPathData(path);
+
+                if (isPattern(pathData.tokens)) {
+                    this._patternMutators.set(pathData.path, { tokens: pathData.tokens, mutate: mutator });
+                } else {
+                    pathData.mutate = mutator;
                 }
             }
         }
@@ -320,9 +915,63 @@ export default class ReactiveStore {
      * @param {Function} op - Operation to run without mutations. 
      */
     noMutation(op) {
+        const noMutate = this._noMutate;
+
         this._noMutate = true;
-        op();
-        this._noMutate = false;
+
+        try {
+            op();
+        } finally {
+            this._noMutate = noMutate;
+        }
+    }
+
+    /**
+     * Run the given function as a single atomic batch. All changes made inside of it only trigger dependencies once it has completed,
+     * and they are rolled back without triggering anything if it throws or returns ReactiveStore.CANCEL.
+     * Nested transactions are folded into the outer one (rolling back a nested transaction only reverts its own changes).
+     * @param {Function} fn - Function to run. It is called with the store as its only parameter.
+     * @returns {any} The return value of fn.
+     */
+    transaction(fn) {
+        const { _changeData } = this,
+            deps = new Set(_changeData.deps),
+            recordCount = _changeData.records.length,
+            pendingCount = _changeData.pending.length;
+
+        let result,
+            completed = false;
+
+        this._watchChanges(() => {
+            try {
+                result = fn(this);
+                completed = true;
+            } finally {
+                if (!completed || result === ReactiveStore.CANCEL) {
+                    this._rollback(recordCount, deps, pendingCount);
+                }
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Atomically apply a JSON Patch (RFC 6902) to the store. Operations go through the regular modifiers, so mutators are honored.
+     * If any operation fails (including 'test' operations), the whole patch is rolled back and the error is thrown.
+     * @param {Object[]} ops - Patch operations.
+     */
+    applyPatch(ops) {
+        this.transaction(() => applyPatch(this, ops));
+    }
+
+    /**
+     * Create a JSON Patch (RFC 6902) that would turn the current root value into the given value.
+     * @param {any} value - Value to diff against.
+     * @returns {Object[]} Patch operations.
+     */
+    diff(value) {
+        return createPatch(this, this.data, value);
     }
 
     /**
@@ -331,317 +980,1879 @@ export default class ReactiveStore {
      */
     removeMutators(...paths) {
         for (const path of paths) {
-            delete this._getPathData(path).mutate;
+            const pathData = this._getPathData(path);
+
+            this._patternMutators.delete(pathData.path);
+            delete pathData.mutate;
         }
     }
 
     /**
-     * Set value at path, creating depth where necessary, and call recursive dependency trigger helpers.
-     * @param {path} path - Path to set value at.
-     * @param {any} value - Value to set at path. Operation will cancel if value is ReactiveStore.CANCEL, or path will be deleted if value is ReactiveStore.DELETE.
+     * Register a listener that is called once per batch of committed changes with the records matching the given path pattern.
+     * Pattern segments may be '*' to match any single key (e.g. 'todos.*.done').
+     * @param {path} pattern - Path pattern to observe.
+     * @param {ChangeListener} listener - Function to call with matching change records.
+     * @returns {Object} Handle with a stop function that removes the listener.
      */
-    _setAtPath(path, value) {
-        const pathData = this._getPathData(path);
-
-        // Mutate value if the _noMutate flag is not true and there is a mutate function for the path        
-        if (!this._noMutate && pathData.mutate) {
-            value = pathData.mutate(value, this);
+    observe(pattern, listener) {
+        if (!(listener instanceof Function)) {
+            throw new Error('ReactiveStore: You must provide a listener function to observe changes.');
         }
 
-        // Cancel operation if value is ReactiveStore.CANCEL
-        if (value === ReactiveStore.CANCEL) return;
+        const observer = {
+            tokens: (pattern === ReactiveStore.ROOT) ? [] : this._getPathData(pattern).tokens,
+            listener
+        };
 
-        // Unset if value is ReactiveStore.DELETE
-        const unset = (value === ReactiveStore.DELETE);
+        this._observers.add(observer);
 
-        // Coerce root data to be an Object if it is not currenty traversable
-        if (!this._isTraversable) {
-            // Cancel the operation if this is an unset because the path doesn't exist
-            if (unset) return;
+        return {
+            stop: () => this._observers.delete(observer)
+        };
+    }
 
-            this._isTraversable = true;
-            this.data = {};
-        }
+    /**
+     * Register a listener that is called once per batch of committed changes with every change record.
+     * @param {ChangeListener} listener - Function to call with change records.
+     * @returns {Object} Handle with a stop function that removes the listener.
+     */
+    onChange(listener) {
+        return this.observe(ReactiveStore.ROOT, listener);
+    }
 
-        const { tokens } = pathData,
-            lastTokenIdx = (tokens.length - 1),
+    /**
+     * Register a listener that is called once per batch of committed changes with a JSON Patch (RFC 6902) describing them.
+     * @param {Function} listener - Function with parameters (ops, store).
+     * @returns {Object} Handle with a stop function that removes the listener.
+     */
+    onPatch(listener) {
+        if (!(listener instanceof Function)) {
+            throw new Error('ReactiveStore: You must provide a listener function to observe changes.');
+        }
+
+        return this.onChange((records) => {
+            const ops = [];
+
+            for (const { path, oldValue, newValue } of records) {
+                ops.push(...createPatch(this, oldValue, newValue, (path === ReactiveStore.ROOT) ? [] : this._getPathData(path).tokens));
+            }
+
+            if (ops.length) {
+                listener(ops, this);
+            }
+        });
+    }
+
+    /**
+     * Use the given plugin for this store.
+     * Before hooks run in the order that plugins were added (global plugins first), and each one receives the value returned by the previous one.
+     * Assign/delete hooks run before the mutator of the path, and afterCommit runs after observers have been notified of a batch.
+     * @param {Plugin} plugin
+     * @returns {Object} Handle with a stop function that removes the plugin.
+     */
+    use(plugin) {
+        return addPlugin(this._plugins, plugin);
+    }
+
+    /**
+     * Define a virtual path whose value is lazily computed from other store values and cached until they change.
+     * @param {path} path - Path to define.
+     * @param {Function} compute - Function that takes the store and returns the value (or ReactiveStore.DELETE for non-existent).
+     * @param {Function} [set] - Function called with (value, store) when the path is assigned/deleted.
+     */
+    defineComputed(path, compute, set) {
+        if (!(compute instanceof Function)) {
+            throw new Error('ReactiveStore: You must provide a compute function to define a computed path.');
+        }
+
+        if (path === ReactiveStore.ROOT) {
+            throw new Error('ReactiveStore: The root value cannot be computed.');
+        }
+
+        this.removeComputed(path);
+
+        const pathData = this._getPathData(path),
+            oldValue = Reactivity.nonreactive(() => this._findProperty(path).value),
+            depNode = this._getDepNode(pathData.tokens, true);
+
+        depNode.computed = true;
+        pathData.computed = {
+            compute,
+            set: (set instanceof Function) ? set : null,
+            computation: null,
+            cached: false,
+            value: undefined
+        };
+
+        // Let anything that was already depending on the path know that its value comes from the computation now
+        if (hasDependents(depNode)) {
+            this._watchChanges(() => this._triggerChangedDeps(depNode, oldValue, this._evaluateComputed(pathData)));
+        }
+    }
+
+    /**
+     * Remove computed path definitions so that the paths read from the stored data again.
+     * @param {...path} paths - Computed paths to remove.
+     */
+    removeComputed(...paths) {
+        for (const path of paths) {
+            const pathData = this._getPathData(path),
+                { computed } = pathData;
+
+            if (computed) {
+                const depNode = this._getDepNode(pathData.tokens),
+                    oldValue = computed.cached ? computed.value : ReactiveStore.DELETE;
+
+                if (computed.computation) {
+                    computed.computation.stop();
+                }
+
+                delete pathData.computed;
+
+                if (depNode) {
+                    delete depNode.computed;
+
+                    if (hasDependents(depNode)) {
+                        this._watchChanges(() => this._triggerChangedDeps(depNode, oldValue, Reactivity.nonreactive(() => this._findProperty(path).value)));
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Set the schema that assigned values are validated against. Values are validated after mutators have run and before they are written.
+     * The current data is validated right away so that errors are up to date.
+     * @param {Object.<path, Object>|null} schema - Map of path patterns -> rules (or null to remove the schema).
+     * @param {Object} [options]
+     * @param {string} [options.mode='reject'] - 'reject' to cancel invalid assignments, or 'report' to write them anyway and only report errors.
+     */
+    setSchema(schema, { mode = 'reject' } = {}) {
+        if (schema && !isObject(schema)) {
+            throw new Error('ReactiveStore: Schema must be an Object that maps paths to rules.');
+        }
+
+        if (mode !== 'reject' && mode !== 'report') {
+            throw new Error('ReactiveStore: Schema mode must be either \'reject\' or \'report\'.');
+        }
+
+        this._schema = schema
+            ? {
+                mode,
+                rules: compileSchema(schema).map(({ path, rule }) => ({ tokens: this._getPathData(path).tokens, rule }))
+            }
+            : null;
+
+        if (this._schema) {
+            this._validateAtPath(ReactiveStore.ROOT, this.data);
+        } else {
+            this._updateErrors([], new Map());
+        }
+    }
+
+    /**
+     * @function errors - Reactively get all current validation errors.
+     * 
+     * @returns {Object.<path, string[]>} Map of invalid paths -> error messages.
+     *//**
+     * @function errors - Reactively get the current validation errors for the given path.
+     * 
+     * @param {path} path - Path to get errors for.
+     * @returns {string[]} Error messages (empty if the path is valid).
+     */
+    errors(path) {
+        if (path === undefined) {
+            if (Reactivity.isActive()) {
+                this._errorsDep.depend();
+            }
+
+            const errorMap = {};
+
+            for (const [errorPath, messages] of this._errors) {
+                errorMap[errorPath] = messages;
+            }
+
+            return errorMap;
+        }
+
+        const pathData = this._getPathData(path);
+
+        if (Reactivity.isActive()) {
+            if (!pathData.errorsDep) {
+                pathData.errorsDep = Reactivity.createDependency();
+            }
+
+            pathData.errorsDep.depend();
+            this._trackComputation(null, pathData);
+        }
+
+        return this._errors.get(pathData.path) || [];
+    }
+
+    /**
+     * Reactively check if an async mutator is currently running for the given path.
+     * @param {path} path - Store path to check.
+     * @returns {boolean} Pending status of the path.
+     */
+    isPending(path) {
+        const pathData = this._getPathData(path);
+
+        if (Reactivity.isActive()) {
+            if (!pathData.pendingDep) {
+                pathData.pendingDep = Reactivity.createDependency();
+            }
+
+            pathData.pendingDep.depend();
+            this._trackComputation(null, pathData);
+        }
+
+        return Boolean(pathData.pending);
+    }
+
+    /**
+     * Reactively get the error that the async mutator for the latest assignment to the given path was rejected with.
+     * @param {path} path - Store path to check.
+     * @returns {any} Rejection error (undefined if there isn't one).
+     */
+    error(path) {
+        const pathData = this._getPathData(path);
+
+        if (Reactivity.isActive()) {
+            if (!pathData.errorDep) {
+                pathData.errorDep = Reactivity.createDependency();
+            }
+
+            pathData.errorDep.depend();
+            this._trackComputation(null, pathData);
+        }
+
+        return pathData.error;
+    }
+
+    /**
+     * Hydrate the store from storage and write the persisted paths back to storage after each batch of changes.
+     * @param {Object} options
+     * @param {string} options.key - Storage key.
+     * @param {Object} [options.adapter=localStorage] - Storage adapter with getItem/setItem(/removeItem) functions. getItem may return a Promise.
+     * @param {path[]} [options.paths] - Paths to persist (the whole root value is persisted if not provided).
+     * @param {number} [options.throttle=0] - Minimum number of milliseconds between writes.
+     * @param {any} [options.version=0] - Version of the persisted data.
+     * @param {Function} [options.migrate] - Function with parameters (data, storedVersion) that converts data persisted under another version.
+     * @param {Object} [options.serializer=ReactiveStore.jsonSerializer] - Object with serialize/deserialize functions.
+     * @param {Function} [options.onError] - Function that is called with the error if the stored data can't be deserialized or migrated (it is removed either way).
+     * @returns {Object} Handle with ready (Promise resolved after hydration), flush, stop and clear functions.
+     */
+    persist(options) {
+        return persistStore(this, options);
+    }
+
+    /**
+     * Broadcast each batch of committed changes to other instances (e.g. in other tabs) and apply the changes that they broadcast.
+     * Concurrent writes to the same path are resolved with last-writer-wins based on a Lamport clock.
+     * @param {Object} options
+     * @param {string} options.channel - Channel name (only instances on the same channel are synced).
+     * @param {path[]} [options.paths] - Paths to sync (the whole root value is synced if not provided).
+     * @param {Object} [options.transport] - Transport with send(message) and subscribe(listener) functions (BroadcastChannel, or storage events if it isn't available, by default).
+     * @param {Object} [options.serializer=ReactiveStore.jsonSerializer] - Object with serialize/deserialize functions.
+     * @param {number} [options.versionLimit=1000] - Maximum number of paths whose last write is remembered for resolving concurrent writes.
+     * @returns {Object} Handle with a stop function.
+     */
+    sync(options) {
+        return syncStore(this, options);
+    }
+
+    /**
+     * Two-way bind every element in a rendered Blaze template that has a state path attribute (e.g. data-state-path="form.name") to the store.
+     * Input/change events assign the element's value (coerced based on its type) to its path, and store changes are written back into the elements reactively.
+     * @param {Blaze.TemplateInstance} instance - Rendered template instance (i.e. call this in onRendered).
+     * @param {Object} [options]
+     * @param {string} [options.attribute='data-state-path'] - Attribute that contains the path of each element.
+     * @param {string[]} [options.events=['input', 'change']] - Events that assign element values to the store.
+     * @returns {Object} Handle with refresh and stop functions (stopped automatically when the template is destroyed).
+     */
+    bindTemplate(instance, options) {
+        return bindTemplate(this, instance, options);
+    }
+
+    /**
+     * Keep an Object of the documents in a Mongo/Minimongo cursor at path (keyed by id), using observeChanges to apply each change as a fine-grained assign/delete.
+     * Any existing value at path is replaced with the initial results in a single batch.
+     * @param {path} path - Path of the document Object.
+     * @param {Mongo.Cursor} cursor - Cursor to observe.
+     * @param {Object} [options]
+     * @param {string} [options.keyBy='_id'] - Field whose value is used as the key of each document.
+     * @returns {Object} Handle with a stop function that stops observing the cursor.
+     */
+    bindCursor(path, cursor, options) {
+        return bindCursor(this, path, cursor, options);
+    }
+
+    /**
+     * Publish the store to clients over DDP (subscribe to it with ReactiveStore.subscribe), registering a Meteor publication if Meteor.publish is available.
+     * Each published path is sent as a document that is flattened into a field per value, and each batch of committed changes is diffed so that only the values that changed are sent.
+     * @param {string} name - Publication name.
+     * @param {Object} [options]
+     * @param {path[]} [options.paths] - Paths to publish (the whole root value is published if not provided).
+     * @param {Function} [options.filter] - Function that takes the userId of the subscription and returns true (publish every path), false (publish nothing) or an Array of the paths to publish to that user.
+     * @returns {Function} Publication handler (called with the publication as this).
+     */
+    publish(name, options) {
+        return createPublication(this, name, options);
+    }
+
+    /**
+     * Get counts of the dependency data that is currently held by the store.
+     * @returns {Object} Object with depNodes, valueDeps, existsDeps, keysDeps, lengthDeps, idDeps, eqDeps and paths counts.
+     */
+    stats() {
+        const stats = {
+            depNodes: 0,
+            valueDeps: 0,
+            existsDeps: 0,
+            keysDeps: 0,
+            lengthDeps: 0,
+            idDeps: 0,
+            eqDeps: 0,
+            paths: this._pathData.size
+        };
+
+        const count = (depNode) => {
+            if (depNode.valueDep) stats.valueDeps++;
+            if (depNode.existsDep) stats.existsDeps++;
+            if (depNode.keysDep) stats.keysDeps++;
+            if (depNode.lengthDep) stats.lengthDeps++;
+            if (depNode.idDeps) stats.idDeps += depNode.idDeps.size;
+            if (depNode.eqDepMap) stats.eqDeps += depNode.eqDepMap.size;
+
+            for (const subDepNode of Object.values(depNode.subDeps)) {
+                stats.depNodes++;
+                count(subDepNode);
+            }
+        };
+
+        // NOTE: The root dep node always exists, so it is not included in the depNodes count
+        count(this[ReactiveStore.ROOT]);
+
+        return stats;
+    }
+
+    /**
+     * Start recording undo/redo history. Each batch of committed changes (i.e. each set/assign/delete/clear call) is recorded as one entry.
+     * @param {Object} [options]
+     * @param {number} [options.limit=100] - Maximum number of entries to keep in the undo stack.
+     */
+    enableHistory({ limit = 100 } = {}) {
+        if (this._history) {
+            this._history.limit = limit;
+        } else {
+            this._history = {
+                undoStack: [],
+                redoStack: [],
+                limit,
+                replaying: false,
+                dep: Reactivity.createDependency()
+            };
+        }
+    }
+
+    /**
+     * Revert the last recorded history entry.
+     * @returns {boolean} True if an entry was reverted.
+     */
+    undo() {
+        return this._stepHistory('undoStack', 'redoStack', true);
+    }
+
+    /**
+     * Reapply the last reverted history entry.
+     * @returns {boolean} True if an entry was reapplied.
+     */
+    redo() {
+        return this._stepHistory('redoStack', 'undoStack', false);
+    }
+
+    /**
+     * Reactively returns whether or not there is a history entry to undo.
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this._historyDepend() && !!this._history.undoStack.length;
+    }
+
+    /**
+     * Reactively returns whether or not there is a history entry to redo.
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this._historyDepend() && !!this._history.redoStack.length;
+    }
+
+    /**
+     * Remove all entries from the undo and redo stacks.
+     */
+    clearHistory() {
+        if (this._history) {
+            this._updateHistory((history) => {
+                history.undoStack = [];
+                history.redoStack = [];
+            });
+        }
+    }
+
+    /**
+     * Run value through the mutator for the path (if there is one) and then write it to the store.
+     * @param {path} path - Path to set value at.
+     * @param {any} value - Value to set at path. Operation will cancel if value is ReactiveStore.CANCEL, or path will be deleted if value is ReactiveStore.DELETE.
+     */
+    _setAtPath(path, value) {
+        const pathData = this._getPathData(path);
+
+        // Computed paths can only be assigned through their setter
+        if (pathData.computed) {
+            if (!pathData.computed.set) {
+                throw new Error(`ReactiveStore: Cannot assign to computed path '${pathData.path}' because it does not have a setter.`);
+            }
+
+            pathData.computed.set(value, this);
+            return;
+        }
+
+        const hookInfo = this._hasPlugins() && { path: pathData.path, oldValue: this._peekAtPath(pathData.tokens), store: this };
+
+        // Plugins see the value before any mutator runs
+        if (hookInfo) {
+            value = this._runHooks((value === ReactiveStore.DELETE) ? 'beforeDelete' : 'beforeAssign', value, hookInfo);
+
+            if (value === ReactiveStore.CANCEL) {
+                this._setAsyncState(pathData, undefined, undefined);
+                return;
+            }
+        }
+
+        const assignedValue = value;
+
+        // Mutate value if the _noMutate flag is not true and there is a mutate function for the path        
+        if (!this._noMutate) {
+            value = this._mutate(pathData, value);
+        }
+
+        // NOTE: Only Promises returned by mutators are awaited (assigned Promises are stored as-is)
+        if (value !== assignedValue && value && value.then instanceof Function) {
+            // Async mutator: apply the resolved value later unless another assignment to the path happens first
+            const promise = value;
+
+            this._setAsyncState(pathData, promise, undefined);
+            this._changeData.pending.push({ pathData, promise });
+
+            promise.then((resolvedValue) => {
+                if (pathData.pending !== promise) return;
+
+                this._setAsyncState(pathData, undefined, undefined);
+                this._watchChanges(() => this._writeMutated(pathData, resolvedValue, hookInfo));
+            }, (error) => {
+                if (pathData.pending !== promise) return;
+
+                this._setAsyncState(pathData, undefined, error);
+            });
+
+            return;
+        }
+
+        // Any pending async assignment has been superseded by this one
+        this._setAsyncState(pathData, undefined, undefined);
+        this._writeMutated(pathData, value, hookInfo);
+    }
+
+    /**
+     * Write an (already mutated) value to the given path unless it is ReactiveStore.CANCEL or it is invalid and invalid values should be rejected.
+     * @param {Object} pathData - pathData object of the path to write.
+     * @param {any} value - Mutated value.
+     * @param {HookInfo} [hookInfo] - Info for the afterAssign hooks of plugins (if there are any).
+     */
+    _writeMutated(pathData, value, hookInfo) {
+        // Cancel operation if value is ReactiveStore.CANCEL
+        if (value === ReactiveStore.CANCEL) return;
+
+        // Cancel operation if value is invalid and invalid values should be rejected
+        if (this._schema && !this._validateAtPath(pathData.path, value) && this._schema.mode === 'reject') return;
+
+        this._writeAtPath(pathData.path, value);
+
+        if (hookInfo && value !== ReactiveStore.DELETE) {
+            this._runHooks('afterAssign', value, hookInfo);
+        }
+    }
+
+    /**
+     * Update the pending promise/rejection error of a path and trigger their dependencies if they have changed.
+     * @param {Object} pathData - pathData object of the path.
+     * @param {Promise} [pending] - Promise of the pending async mutator (if there is one).
+     * @param {any} [error] - Rejection error of the last async mutator (if there is one).
+     */
+    _setAsyncState(pathData, pending, error) {
+        if (pathData.pending !== pending) {
+            if (pending) {
+                pathData.pending = pending;
+            } else {
+                delete pathData.pending;
+            }
+
+            if (pathData.pendingDep) pathData.pendingDep.changed();
+        }
+
+        if (pathData.error !== error) {
+            if (error !== undefined) {
+                pathData.error = error;
+            } else {
+                delete pathData.error;
+            }
+
+            if (pathData.errorDep) pathData.errorDep.changed();
+        }
+    }
+
+    /**
+     * Write value at path, creating depth where necessary, and call recursive dependency trigger helpers.
+     * @param {path} path - Path to write value at.
+     * @param {any} value - Value to write at path. Path will be deleted if value is ReactiveStore.DELETE.
+     * @param {boolean} [truncate] - If true, deleting the last index of an array shortens the array instead of leaving a hole.
+     */
+    _writeAtPath(path, value, truncate) {
+        // Unset if value is ReactiveStore.DELETE
+        const unset = (value === ReactiveStore.DELETE);
+
+        const pathData = this._getPathData(path),
+            { tokens } = pathData,
+            lastTokenIdx = (tokens.length - 1),
             rootNode = this[ReactiveStore.ROOT],
-            parentDepNodes = [rootNode];
+            parentDepNodes = [rootNode],
+            parentValues = [];
+
+        // Coerce root data to be an Object if it is not currenty traversable
+        let coercedRecord = null;
+
+        if (!this._isTraversable) {
+            // Cancel the operation if this is an unset because the path doesn't exist
+            if (unset) return;
+
+            coercedRecord = { path: ReactiveStore.ROOT, oldValue: this.data };
+
+            this._isTraversable = true;
+            this.data = {};
+            coercedRecord.newValue = this.data;
+        }
+
+        // In immutable mode, each ancestor of the written path is cloned instead of being modified in place (everything else stays shared)
+        const oldData = this.data;
+
+        if (this._immutable && !coercedRecord) {
+            this.data = ReactiveStore._clone(this.data);
+        }
+
+        parentValues.push(this.data);
 
         let deps = rootNode.subDeps,
-            search = this.data;
+            depOwner = rootNode,
+            search = this.data,
+            changed = false;
             
         for (let tokenIdx = 0; tokenIdx <= lastTokenIdx; tokenIdx++) {
             const token = tokens[tokenIdx];
             
             if (tokenIdx < lastTokenIdx) {
                 // Parent Token: Ensure that search[token] is traversable, step into it, and store active deps
-                if (!ReactiveStore.isTraversable(search[token])) {
+                let valueAtToken = ReactiveStore._valueAtKey(search, token);
+
+                if (!ReactiveStore.isTraversable(valueAtToken)) {
                     // Cancel the operation if this is an unset because the path doesn't exist
-                    if (unset) return;
+                    if (unset) break;
+
+                    const oldValueAtToken = valueAtToken;
+
+                    valueAtToken = {};
+                    ReactiveStore._setKey(search, token, valueAtToken);
+
+                    // Record the change at the highest coerced level since everything below it is new
+                    if (!coercedRecord) {
+                        coercedRecord = {
+                            path: formatPath(tokens.slice(0, tokenIdx + 1)),
+                            oldValue: oldValueAtToken,
+                            newValue: valueAtToken
+                        };
+                    }
+                } else if (this._immutable) {
+                    valueAtToken = ReactiveStore._clone(valueAtToken);
+                    ReactiveStore._setKey(search, token, valueAtToken);
+                }
 
-                    search[token] = {};
+                const parent = search;
+
+                search = valueAtToken;
+
+                if (deps) {
+                    const depNode = deps[token],
+                        idNode = this._getIdNode(depOwner, parent, search);
+
+                    // Items that are tracked by id change along with anything inside of them
+                    if (idNode) {
+                        parentDepNodes.push(idNode);
+                        parentValues.push(search);
+                    }
+
+                    if (depNode) {
+                        // Store parent dep node so it can be triggered after we know if targeted child property has definitely changed
+                        parentDepNodes.push(depNode);
+                        parentValues.push(search);
+                        deps = depNode.subDeps;
+                        depOwner = depNode;
+                    } else {
+                        deps = null;
+                        depOwner = null;
+                    }
                 }
 
-                search = search[token];
+            } else if (!unset || ReactiveStore._valueAtKey(search, token) !== ReactiveStore.DELETE) {
+                // Last Token: Set/Unset search at token and handle dep changes
+                const depNode = deps && deps[token],
+                    valueAtToken = ReactiveStore._valueAtKey(search, token),
+                    existed = (valueAtToken !== ReactiveStore.DELETE),
+                    oldValue = existed ? valueAtToken : undefined;
+
+                changed = true;
+    
+                if (unset) {
+                    if (truncate && Array.isArray(search) && Number(token) === search.length - 1) {
+                        // Shorten the array (along with any holes that are left at its end)
+                        search.length = Number(token);
+
+                        while (search.length && !((search.length - 1) in search)) {
+                            search.length--;
+                        }
+                    } else {
+                        // Delete token if unset
+                        ReactiveStore._deleteKey(search, token);
+                    }
+    
+                    // Trigger dep at token and any subDeps it may have
+                    if (depNode) {
+                        this._triggerAllDeps(depNode.subDeps, oldValue, value);
+                        this._registerChange(depNode, value);
+                    }
+    
+                } else {
+                    // Otherwise, set the new value
+                    ReactiveStore._setKey(search, token, value);
+    
+                    // Starting with current dep, traverse down and trigger any deps for changed vals
+                    changed = this._triggerChangedDeps(depNode, oldValue, value);
+                }
+    
+                if (changed) {
+                    // Trigger the deps of items tracked by id that were replaced/removed
+                    if (depOwner && Array.isArray(search)) {
+                        this._triggerIdDeps(depOwner, [existed ? oldValue : undefined], [value]);
+                    }
+
+                    // Trigger any active parent dependencies that were hit
+                    parentDepNodes.forEach((parentDepNode, idx) => this._registerChange(parentDepNode, parentValues[idx]));
+
+                    if (coercedRecord) {
+                        this._addRecord(coercedRecord.path, 'assign', coercedRecord.oldValue, coercedRecord.newValue);
+                    } else {
+                        this._addRecord(pathData.path, unset ? 'delete' : 'assign', existed ? oldValue : ReactiveStore.DELETE, value);
+                    }
+                }
+            }
+        }
+
+        if (this._immutable) {
+            // Drop the cloned ancestors if nothing was written
+            this.data = this._freezeValue(changed ? this.data : oldData);
+        }
+    }
+
+    /**
+     * Check if two values are equal the same way that dependencies are checked for changes.
+     * @param {any} valueA
+     * @param {any} valueB
+     * @returns {boolean}
+     */
+    _isEqual(valueA, valueB) {
+        return (valueA === valueB) || !this._triggerChangedDeps(null, valueA, valueB);
+    }
+
+    /**
+     * Deep freeze value if frozen values are enabled (skipping any Objects/Arrays that are already frozen since everything below them is too).
+     * @param {any} value
+     * @returns {any} The given value.
+     */
+    _freezeValue(value) {
+        if (this._freeze && ReactiveStore.isTraversable(value) && !Object.isFrozen(value)) {
+            Object.freeze(value);
+
+            for (const key of ReactiveStore._keysOf(value)) {
+                this._freezeValue(ReactiveStore._valueAtKey(value, key));
+            }
+        }
+
+        return value;
+    }
+
+    /**
+     * Wrapper to track changed dependencies within the given operation and then trigger all of them at once after there are no more operations pending.
+     * @param {Function} op - Operation to run.
+     */
+    _watchChanges(op) {
+        const { _changeData } = this;
+
+        _changeData.opCount++;
+
+        try {
+            op();
+        } finally {
+            // Always decrement (and commit) even if the op throws so that later changes are not blocked
+            _changeData.opCount--;
+
+            if (!_changeData.opCount) {
+                _changeData.pending = [];
+                this._commitChanges();
+            }
+        }
+    }
+
+    /**
+     * Trigger all changed deps, record history and notify observers of the records in the current batch.
+     */
+    _commitChanges() {
+        const { _changeData } = this;
+
+        if (_changeData.deps.size || _changeData.records.length) {
+            const { deps, records } = _changeData;
+
+            _changeData.deps = new Set();
+            _changeData.records = [];
+
+            for (const dep of deps) {
+                dep.changed();
+            }
+
+            if (records.length) {
+                if (this._history && !this._history.replaying) {
+                    this._updateHistory((history) => {
+                        history.undoStack.push(records);
+                        history.redoStack = [];
+
+                        if (history.undoStack.length > history.limit) {
+                            history.undoStack.shift();
+                        }
+                    });
+                }
+
+                this._notifyObservers(records);
+
+                for (const plugin of this._getPlugins()) {
+                    if (plugin.afterCommit instanceof Function) {
+                        plugin.afterCommit(records, this);
+                    }
+                }
+            }
+        }
+    }
+
+    // Returns true if any plugins are used by the store (including global plugins)
+    _hasPlugins() {
+        return Boolean(ReactiveStore.plugins.length || this._plugins.length);
+    }
+
+    // Get all plugins used by the store in the order that their hooks should run (global plugins first)
+    _getPlugins() {
+        return [...ReactiveStore.plugins, ...this._plugins];
+    }
+
+    /**
+     * Run the given before/after hook of each plugin that has it, passing the value returned by each hook on to the next one.
+     * @param {string} hook - Name of the hook.
+     * @param {any} value - Value of the operation.
+     * @param {HookInfo} info - Extra info about the operation.
+     * @returns {any} Value returned by the last hook (stops early if a hook returns ReactiveStore.CANCEL).
+     */
+    _runHooks(hook, value, info) {
+        const isBefore = hook.startsWith('before');
+
+        for (const plugin of this._getPlugins()) {
+            if (plugin[hook] instanceof Function) {
+                const result = plugin[hook](value, info);
+
+                if (isBefore) {
+                    value = result;
+
+                    if (value === ReactiveStore.CANCEL) break;
+                }
+            }
+        }
+
+        return value;
+    }
+
+    /**
+     * Get the current value at the given path tokens without registering any dependencies.
+     * @param {string[]} tokens - Path tokens.
+     * @returns {any} Current value (ReactiveStore.DELETE if it does not exist).
+     */
+    _peekAtPath(tokens) {
+        return tokens.reduce((current, token) => ReactiveStore._valueAtKey(current, token), this.data);
+    }
+
+    /**
+     * Write the old (undo) or new (redo) value of each given record back to the store without running mutators.
+     * @param {ChangeRecord[]} records - Records to replay.
+     * @param {boolean} revert - If true, records are replayed in reverse order using their old values.
+     */
+    _replayRecords(records, revert) {
+        const ordered = revert ? records.slice().reverse() : records;
+
+        this._watchChanges(() => {
+            for (const { path, oldValue, newValue } of ordered) {
+                const value = revert ? oldValue : newValue;
+
+                if (path === ReactiveStore.ROOT) {
+                    this._writeRoot(value);
+                } else {
+                    // Array items that were added are removed without leaving holes
+                    this._writeAtPath(path, value, revert);
+                }
+            }
+        });
+    }
+
+    /**
+     * Revert every change recorded in the current batch since recordCount and restore the set of changed deps to what it was before them.
+     * @param {number} recordCount - Number of records in the batch before the changes to revert.
+     * @param {Set} deps - Set of changed deps from before the changes to revert.
+     * @param {number} pendingCount - Number of async assignments in the batch before the changes to revert.
+     */
+    _rollback(recordCount, deps, pendingCount) {
+        const { _changeData } = this;
+
+        this._replayRecords(_changeData.records.slice(recordCount), true);
+
+        // Async assignments that were started by the reverted changes must not be applied once they resolve
+        for (const { pathData, promise } of _changeData.pending.splice(pendingCount)) {
+            if (pathData.pending === promise) {
+                this._setAsyncState(pathData, undefined, undefined);
+            }
+        }
+
+        // Discard the reverted records along with the ones created by replaying them
+        _changeData.records.length = recordCount;
+        _changeData.deps = deps;
+    }
+
+    /**
+     * Move the last entry from one history stack to the other after replaying it.
+     * @param {string} fromStack - Name of the stack to take the entry from.
+     * @param {string} toStack - Name of the stack to put the entry on.
+     * @param {boolean} revert - Whether to replay the old or new values of the entry.
+     * @returns {boolean} True if there was an entry to replay.
+     */
+    _stepHistory(fromStack, toStack, revert) {
+        const history = this._history;
+
+        if (!history || !history[fromStack].length) return false;
+
+        this._updateHistory(() => {
+            const entry = history[fromStack].pop();
+
+            history.replaying = true;
+
+            try {
+                this._replayRecords(entry, revert);
+            } finally {
+                history.replaying = false;
+            }
+
+            history[toStack].push(entry);
+        });
+
+        return true;
+    }
+
+    /**
+     * Run the given update on the history object and trigger the history dependency if canUndo/canRedo have changed.
+     * @param {Function} update - Function that modifies the history object.
+     */
+    _updateHistory(update) {
+        const history = this._history,
+            before = [!!history.undoStack.length, !!history.redoStack.length];
+
+        update(history);
+
+        if (before[0] !== !!history.undoStack.length || before[1] !== !!history.redoStack.length) {
+            history.dep.changed();
+        }
+    }
+
+    /**
+     * Depend on the history dependency (if reactive).
+     * @returns {boolean} True if history is enabled.
+     */
+    _historyDepend() {
+        if (!this._history) return false;
+
+        if (Reactivity.isActive()) {
+            this._history.dep.depend();
+        }
+
+        return true;
+    }
+
+    /**
+     * Add a change record to the current batch so that it can be passed to observers once all ops have completed.
+     * @param {path|Symbol} path - Changed path.
+     * @param {string} type - Type of the operation that made the change.
+     * @param {any} oldValue - Previous value at path.
+     * @param {any} newValue - New value at path.
+     */
+    _addRecord(path, type, oldValue, newValue) {
+        this._changeData.records.push({
+            path,
+            type,
+            oldValue,
+            newValue
+        });
+    }
+
+    /**
+     * Call every observer whose pattern matches at least one of the given records.
+     * @param {ChangeRecord[]} records - Records committed in the last batch.
+     */
+    _notifyObservers(records) {
+        for (const observer of Array.from(this._observers)) {
+            const matches = [];
+
+            for (const record of records) {
+                this._matchRecord(observer.tokens, record, matches);
+            }
+
+            if (matches.length) {
+                observer.listener(matches, this);
+            }
+        }
+    }
+
+    /**
+     * Add the given record to matches if it is at or below the pattern; if the pattern goes deeper than the record,
+     * add a derived record for every matching sub-path whose value has changed.
+     * @param {string[]} patternTokens - Tokens of the observed pattern.
+     * @param {ChangeRecord} record - Record to match.
+     * @param {ChangeRecord[]} matches - Array to add matching records to.
+     */
+    _matchRecord(patternTokens, record, matches) {
+        const recordTokens = (record.path === ReactiveStore.ROOT) ? [] : this._getPathData(record.path).tokens,
+            sharedLength = Math.min(patternTokens.length, recordTokens.length);
+
+        for (let tokenIdx = 0; tokenIdx < sharedLength; tokenIdx++) {
+            if (patternTokens[tokenIdx] !== '*' && patternTokens[tokenIdx] !== recordTokens[tokenIdx]) return;
+        }
+
+        if (patternTokens.length <= recordTokens.length) {
+            matches.push(record);
+            return;
+        }
+
+        const expand = (tokenIdx, pathTokens, oldValue, newValue) => {
+            if (tokenIdx === patternTokens.length) {
+                if (oldValue !== newValue && this._triggerChangedDeps(null, oldValue, newValue)) {
+                    matches.push({
+                        path: formatPath(pathTokens),
+                        type: (newValue === ReactiveStore.DELETE) ? 'delete' : record.type,
+                        oldValue,
+                        newValue
+                    });
+                }
+
+                return;
+            }
+
+            const token = patternTokens[tokenIdx];
+
+            let keys = [token];
+
+            if (token === '*') {
+                keys = new Set([
+                    ...(ReactiveStore.isTraversable(oldValue) ? ReactiveStore._keysOf(oldValue) : []),
+                    ...(ReactiveStore.isTraversable(newValue) ? ReactiveStore._keysOf(newValue) : [])
+                ]);
+            }
+
+            for (const key of keys) {
+                expand(
+                    tokenIdx + 1,
+                    [...pathTokens, key],
+                    ReactiveStore._valueAtKey(oldValue, key),
+                    ReactiveStore._valueAtKey(newValue, key)
+                );
+            }
+        };
+
+        expand(recordTokens.length, recordTokens, record.oldValue, record.newValue);
+    }
+
+    /**
+     * If given dep is defined, add it to the change data set to be processed after ops have completed.
+     * Also process any existence/equality dependency changes that might have happened.
+     * @param {DepNode} depNode - Dependency Node to register.
+     * @param {any} newValue - New value at corresponding path in the store
+     */
+    _registerChange(depNode, newValue) {
+        if (!depNode) return;
+    
+        const changedDepSet = this._changeData.deps,
+            unset = (newValue === ReactiveStore.DELETE);
+
+        // Trigger value dependency
+        if (depNode.valueDep) {
+            changedDepSet.add(depNode.valueDep);
+        }
+
+        // Check if keys dependency should be triggered (only if keys were added/removed)
+        if (depNode.keysDep) {
+            const keySet = new Set(ReactiveStore.isTraversable(newValue) ? ReactiveStore._keysOf(newValue) : []);
+
+            if (!setsAreEqual(keySet, depNode.keySet)) {
+                changedDepSet.add(depNode.keysDep);
+                depNode.keySet = keySet;
+            }
+        }
+
+        // Check if length dependency should be triggered
+        if (depNode.lengthDep) {
+            const length = Array.isArray(newValue) ? newValue.length : 0;
+
+            if (length !== depNode.length) {
+                changedDepSet.add(depNode.lengthDep);
+                depNode.length = length;
+            }
+        }
+
+        // Check if existence dependency should be triggered 
+        if (depNode.existsDep) {
+            const existenceChanged = (depNode.exists ? unset : !unset);
+
+            if (depNode.existsDep && existenceChanged) {
+                changedDepSet.add(depNode.existsDep);
+                depNode.exists = !depNode.exists;
+            }
+        }
+      
+
+        // Check if equality dependencies should be triggered
+        if (depNode.eqDepMap) {
+            // In terms of "value", unset and undefined are the same, so just use undefined
+            const eqDep = depNode.eqDepMap.get(unset ? undefined : newValue),
+                { activeEqDep } = depNode;
+
+            if (eqDep !== activeEqDep) {
+                if (eqDep) changedDepSet.add(eqDep);
+                if (activeEqDep) changedDepSet.add(activeEqDep);
+
+                depNode.activeEqDep = eqDep;
+            }
+        }
+    }
+    
+    /**
+     * Recursively traverse down deps and trigger all existing dependencies that are set in the keyFilter.
+     * @param {Object.<string, DepNode>} deps - key -> DepNode map to traverse through.
+     * @param {Object|Array} keyFilter - This will be traversed in tandem with deps and only shared keys at each level will be triggered.
+     *      Traversal branches will also be stopped early if there are no more levels to traverse in keyFilter.
+     * @param {any} curValue - Current value at the deps corresponding level in the store. Will be traversed in tandem if traversable.
+     * @param {Set} seenTraversableSet - Used to prevent infinite recursion if keyFilter is cyclical.
+     */
+    _triggerAllDeps(deps, keyFilter, curValue, seenTraversableSet) {
+        if (deps && ReactiveStore.isTraversable(keyFilter)) {
+            if (!seenTraversableSet) {
+                seenTraversableSet = new Set();
+            }
+
+            // Stop traversal if keyFilter has already been seen
+            if (!seenTraversableSet.has(keyFilter)) {
+                seenTraversableSet.add(keyFilter);
+
+                for (const key of Object.keys(deps)) {
+                    // Computed dep nodes are only triggered when their own computation reruns
+                    if (deps[key].computed) continue;
+
+                    const curValueAtKey = ReactiveStore._valueAtKey(curValue, key),
+                        keyFilterAtKey = ReactiveStore._valueAtKey(keyFilter, key);
+    
+                    this._registerChange(deps[key], curValueAtKey);
+    
+                    if (keyFilterAtKey !== ReactiveStore.DELETE) {
+                        this._triggerIdDeps(deps[key], keyFilterAtKey, curValueAtKey);
+                        this._triggerAllDeps(deps[key].subDeps, keyFilterAtKey, curValueAtKey, seenTraversableSet);
+                    }
+                }
+            }
+        }
+    }
+    
+    /**
+     * Check for changes between oldValue and newValue and recursively traverse down to check/trigger
+     * deep dependency changes if necessary.
+     * @param {DepNode} depNode - DepNode for the current traversal level.
+     * @param {any} oldValue - Old value at current traversal level.
+     * @param {any} newValue - New value at current traversal level.
+     * @param {Set} seenTraversableSet - Used to prevent infinite recursion if oldValue or newValue is cyclical.
+     * @returns {boolean} True if value has changed.
+     */
+    _triggerChangedDeps(depNode, oldValue, newValue, seenTraversableSet) {
+        const subDeps = depNode && depNode.subDeps;
+
+        let newValueTraversed = false,
+            changed = false;
+    
+        if (useStrictEqualityCheck(oldValue)) {
+            // Perform strict equality check to determine change if we can
+            changed = (oldValue !== newValue);
+
+        } else if (oldValue === newValue) {
+            // Values are never changed in place in immutable mode, so the same reference means that nothing has changed
+            if (this._immutable) return false;
+
+            // Cannot check for differences if oldValue and newValue are literally the same reference, so assume changed.
+            changed = true;
+
+        } else if (ReactiveStore.isTraversable(oldValue)) {
+            // If oldValue is traversable...
+            if (!seenTraversableSet) {
+                seenTraversableSet = new Set();
+            }
+
+            if (seenTraversableSet.has(oldValue) || seenTraversableSet.has(newValue)) {
+                // Assume changed if oldValue or newValue has already been seen once because cyclical data structures cannot be checked for deep changes
+                changed = true;
+
+            } else {
+                // Otherwise, add oldValue to the seenTraversableSet and continue
+                seenTraversableSet.add(oldValue);
+
+                const keySet = new Set(ReactiveStore._keysOf(oldValue));
+
+                if (ReactiveStore.isTraversable(newValue)) {
+                    // If newValue is also traversable, add it to the seenTraversableSet
+                    seenTraversableSet.add(newValue);
+
+                    // Add its keys to the keySet
+                    const newValueKeys = ReactiveStore._keysOf(newValue);
+
+                    // Definitely changed if values don't share the same constructor or have a different amount of keys
+                    if (oldValue.constructor !== newValue.constructor || keySet.size !== newValueKeys.length) {
+                        changed = true;
+                    }
+
+                    // Only process newValueKeys if we don't already know of any changes, or there are subDeps to process
+                    if (!changed || subDeps) {
+                        // Add all newValueKeys to the keySet
+                        for (const key of newValueKeys) {
+                            if (!keySet.has(key)) {
+                                // Definitely changed if newValue key does not exist in oldValue and its value is not undefined
+                                // NOTE: The presence of a new key doesn't matter if it is set to undefined because that means the value hasn't changed.
+                                if (!changed && ReactiveStore._valueAtKey(newValue, key) !== undefined) {
+                                    changed = true;
+                                    if (!subDeps) break;
+                                }
+
+                                keySet.add(key);
+                            }
+                        }
+                    }
+
+                    // Set newValueTraversed to true so that _triggerAllDeps check below is skipped
+                    newValueTraversed = true;
+                    
+                } else {
+                    // Definitely changed if newValue is not traversable
+                    changed = true;
+                }
+
+                // Only initiate further traversal if we don't already know of any changes, or there are subDeps to process
+                if (!changed || subDeps) {
+                    // Iterate through all unique keys between the old/new values and check for deep changes
+                    for (const key of keySet) {
+                        let subDepNode = subDeps && subDeps[key];
+
+                        // Computed dep nodes are only triggered when their own computation reruns
+                        if (subDepNode && subDepNode.computed) {
+                            subDepNode = undefined;
+                        }
+                        
+                        // Only traverse if change has not been found or there is a sub-dependency to check
+                        if (!changed || subDepNode) {
+                            const oldValueAtKey = ReactiveStore._valueAtKey(oldValue, key),
+                                newValueAtKey = ReactiveStore._valueAtKey(newValue, key),
+                                valueAtKeyChanged = this._triggerChangedDeps(subDepNode, oldValueAtKey, newValueAtKey, seenTraversableSet);
+                            
+                            if (!changed && valueAtKeyChanged) {
+                                changed = true;
+                            }
+                        }                        
+                    }
+                }
+
+                // Entries that can't be addressed by paths (e.g. non-string Map keys) are not traversed, so compare them with the equality check of the type instead
+                if (!changed && newValueTraversed && (ReactiveStore._hasUnaddressableKeys(oldValue) || ReactiveStore._hasUnaddressableKeys(newValue))) {
+                    const isEqual = ReactiveStore.eqCheckMap.get(oldValue.constructor);
+
+                    changed = !isEqual || !isEqual(oldValue, newValue);
+                }
+            }
+            
+        } else {
+            // Run custom equality check for the oldValue's instance type (e.g. Set, Date, etc) if there is one
+            const isEqual = ReactiveStore.eqCheckMap.get(oldValue.constructor);
+
+            if (!isEqual || !isEqual(oldValue, newValue)) {
+                changed = true;
+            }
+        }
+
+        // Trigger all deep dependencies present in newValue if it has not been traversed
+        if (!newValueTraversed) {
+            this._triggerAllDeps(subDeps, newValue, newValue);
+        }
+        
+        if (changed) {
+            this._triggerIdDeps(depNode, oldValue, newValue);
+            this._registerChange(depNode, newValue);
+        }
+    
+        return changed;
+    }
+
+    /**
+     * Get the cached value of a computed path, (re)running its computation first if it is not currently up to date.
+     * @param {Object} pathData - pathData object of the computed path.
+     * @returns {any} Computed value.
+     */
+    _evaluateComputed(pathData) {
+        const { computed } = pathData;
+
+        if (!computed.computation || computed.computation.invalidated) {
+            this._runComputed(pathData);
+        }
+
+        return computed.value;
+    }
+
+    /**
+     * Start a new computation for a computed path that keeps its cached value up to date for as long as something depends on it.
+     * @param {Object} pathData - pathData object of the computed path.
+     */
+    _runComputed(pathData) {
+        const { computed } = pathData;
+
+        if (computed.computation) {
+            computed.computation.stop();
+        }
+
+        Reactivity.nonreactive(() => {
+            computed.computation = Reactivity.autorun((computation) => {
+                const depNode = this._getDepNode(pathData.tokens);
+
+                // Stop recomputing once nothing depends on the path anymore; it will be recomputed when it is accessed again
+                if (!computation.firstRun && !hasDependents(depNode)) {
+                    computation.stop();
+                    computed.computation = null;
+                    computed.cached = false;
+                    return;
+                }
+
+                const oldValue = computed.value,
+                    wasCached = computed.cached;
+
+                computed.value = computed.compute(this);
+                computed.cached = true;
+
+                // Trigger dependents if the value has changed since it was last computed
+                if (wasCached) {
+                    this._watchChanges(() => this._triggerChangedDeps(depNode, oldValue, computed.value));
+                }
+            });
+        });
+    }
+
+    /**
+     * Remember the dep node (or pathData object) that the current computation depends on, so that it can be cleaned up once the computation is invalidated/stopped.
+     * @param {DepNode} [depNode] - Dep node that was depended on.
+     * @param {Object} [pathData] - pathData object whose deps were depended on.
+     */
+    _trackComputation(depNode, pathData) {
+        const computation = Reactivity.currentComputation();
+
+        let tracked = this._trackedComputations.get(computation);
+
+        if (!tracked) {
+            tracked = { depNodes: new Set(), pathDatas: new Set() };
+            this._trackedComputations.set(computation, tracked);
+
+            computation.onInvalidate(() => {
+                this._trackedComputations.delete(computation);
+
+                tracked.depNodes.forEach(node => this._cleanupQueue.depNodes.add(node));
+                tracked.pathDatas.forEach(data => this._cleanupQueue.pathDatas.add(data));
+                this._scheduleCleanup();
+            });
+        }
+
+        if (depNode) tracked.depNodes.add(depNode);
+        if (pathData) tracked.pathDatas.add(pathData);
+    }
+
+    /**
+     * Run _cleanup once after the next flush (i.e. after invalidated computations have rerun and re-registered their deps).
+     */
+    _scheduleCleanup() {
+        if (!this._cleanupScheduled) {
+            this._cleanupScheduled = true;
+
+            Reactivity.afterFlush(() => {
+                this._cleanupScheduled = false;
+
+                // Wait until there are no ops running so that nothing in use is removed
+                if (this._changeData.opCount) {
+                    this._scheduleCleanup();
+                } else {
+                    this._cleanup();
+                }
+            });
+        }
+    }
+
+    /**
+     * Remove the dependencies that no longer have dependents from the dep nodes (and pathData objects) that invalidated computations depended on,
+     * along with any dep nodes that no longer hold anything (and the pathData entries of their paths).
+     */
+    _cleanup() {
+        const { depNodes, pathDatas } = this._cleanupQueue;
+
+        this._cleanupQueue = { depNodes: new Set(), pathDatas: new Set() };
+
+        for (const depNode of depNodes) {
+            this._pruneDepNode(depNode);
+        }
+
+        for (const pathData of pathDatas) {
+            for (const key of ['errorsDep', 'pendingDep', 'errorDep']) {
+                if (pathData[key] && !pathData[key].hasDependents()) {
+                    delete pathData[key];
+                }
+            }
+
+            if (this._isUnusedPathData(pathData) && !this._getDepNode(pathData.tokens)) {
+                this._pathData.delete(pathData.path);
+            }
+        }
+    }
+
+    /**
+     * Remove the dependencies of a dep node that no longer have dependents, and then remove the dep node (and any ancestors) from the tree if it no longer holds anything.
+     * @param {DepNode} depNode - Dep node to prune.
+     */
+    _pruneDepNode(depNode) {
+        if (depNode.valueDep && !depNode.valueDep.hasDependents()) {
+            delete depNode.valueDep;
+        }
+
+        if (depNode.existsDep && !depNode.existsDep.hasDependents()) {
+            delete depNode.existsDep;
+            delete depNode.exists;
+        }
+
+        if (depNode.keysDep && !depNode.keysDep.hasDependents()) {
+            delete depNode.keysDep;
+            delete depNode.keySet;
+        }
+
+        if (depNode.lengthDep && !depNode.lengthDep.hasDependents()) {
+            delete depNode.lengthDep;
+            delete depNode.length;
+        }
+
+        if (depNode.idDeps) {
+            for (const [id, idNode] of depNode.idDeps) {
+                if (!idNode.valueDep.hasDependents()) {
+                    depNode.idDeps.delete(id);
+                }
+            }
+
+            if (!depNode.idDeps.size) {
+                delete depNode.idDeps;
+            }
+        }
+
+        if (depNode.eqDepMap) {
+            for (const [value, eqDep] of depNode.eqDepMap) {
+                if (!eqDep.hasDependents()) {
+                    depNode.eqDepMap.delete(value);
+                    if (depNode.activeEqDep === eqDep) delete depNode.activeEqDep;
+                }
+            }
+
+            if (!depNode.eqDepMap.size) {
+                delete depNode.eqDepMap;
+            }
+        }
+
+        // Remove the dep node from its parent (and then the parent if that leaves it empty as well)
+        let node = depNode;
+
+        while (
+            node.parent
+            && node.parent.subDeps[node.key] === node
+            && !node.valueDep
+            && !node.existsDep
+            && !node.keysDep
+            && !node.lengthDep
+            && !node.eqDepMap
+            && !node.idDeps
+            && !node.computed
+            && !Object.keys(node.subDeps).length
+        ) {
+            delete node.parent.subDeps[node.key];
+
+            // The parsed path is only dropped along with its dep node (so that paths which are still read stay cached)
+            const tokens = [];
+
+            for (let ancestor = node; ancestor.parent; ancestor = ancestor.parent) {
+                tokens.unshift(ancestor.key);
+            }
+
+            const pathData = this._pathData.get(formatPath(tokens));
+
+            if (pathData && this._isUnusedPathData(pathData)) {
+                this._pathData.delete(pathData.path);
+            }
+
+            node = node.parent;
+        }
+    }
+
+    /**
+     * Check if a pathData object holds nothing but its tokens (i.e. it is only a parse cache entry).
+     * @param {Object} pathData
+     * @returns {boolean}
+     */
+    _isUnusedPathData(pathData) {
+        return Object.keys(pathData).every(key => (
+            key === 'tokens'
+            || key === 'path'
+            || (['errorsDep', 'pendingDep', 'errorDep'].includes(key) && !pathData[key].hasDependents())
+        ));
+    }
+
+    /**
+     * Run update on a copy of the array at path and write the result in its place, only triggering the deps of indices/ids that changed.
+     * @param {path} path - Path of store array.
+     * @param {Function} update - Function that modifies the given copy of the array.
+     */
+    _updateArray(path, update) {
+        if (path !== ReactiveStore.ROOT) {
+            ({ path } = this._getPathData(path));
+        }
+
+        this._watchChanges(() => {
+            const tokens = (path === ReactiveStore.ROOT) ? [] : this._getPathData(path).tokens,
+                parentDepNodes = [],
+                parentValues = [];
+
+            // Find the current value along with any dep nodes (and id dep nodes) on the way to it
+            let depNode = this[ReactiveStore.ROOT],
+                parent,
+                current = this.data;
+
+            for (const token of tokens) {
+                const valueAtToken = ReactiveStore._valueAtKey(current, token);
+
+                if (depNode) {
+                    const idNode = this._getIdNode(depNode, current, valueAtToken);
+
+                    parentDepNodes.push(depNode);
+                    parentValues.push(current);
+
+                    if (idNode) {
+                        parentDepNodes.push(idNode);
+                        parentValues.push(valueAtToken);
+                    }
+
+                    depNode = depNode.subDeps[token];
+                }
+
+                parent = current;
+                current = valueAtToken;
+            }
+
+            if (current !== ReactiveStore.DELETE && !Array.isArray(current)) {
+                throw new Error(`ReactiveStore: Cannot update the value at path '${path}' because it is not an array.`);
+            }
+
+            const oldArray = (current === ReactiveStore.DELETE) ? [] : current.slice(),
+                hookInfo = this._hasPlugins() && { path, oldValue: current, store: this };
+
+            let newArray = oldArray.slice();
+
+            update(newArray);
+
+            // Array modifiers run the assign hooks of plugins with the whole updated array
+            if (hookInfo) {
+                newArray = this._runHooks('beforeAssign', newArray, hookInfo);
+
+                if (newArray === ReactiveStore.CANCEL) return;
+
+                if (!Array.isArray(newArray)) {
+                    throw new Error(`ReactiveStore: The beforeAssign hooks for array path '${path}' must return an array.`);
+                }
+            }
+
+            const changed = (oldArray.length !== newArray.length)
+                || newArray.some((item, idx) => item !== oldArray[idx] && this._triggerChangedDeps(null, oldArray[idx], item));
+
+            // Cancel operation if nothing has changed, or if the new array is invalid and invalid values should be rejected
+            if (!changed || (this._schema && !this._validateAtPath(path, newArray) && this._schema.mode === 'reject')) return;
+
+            // Create the array if it doesn't exist yet (or write a new array in immutable mode)
+            if (current === ReactiveStore.DELETE || this._immutable) {
+                if (path === ReactiveStore.ROOT) {
+                    this._writeRoot(newArray);
+                } else {
+                    this._writeAtPath(path, newArray);
+                }
+
+                if (hookInfo) {
+                    this._runHooks('afterAssign', newArray, hookInfo);
+                }
+
+                return;
+            }
+
+            // Replace the array rather than splicing it in place, since earlier history records may hold the current one
+            if (path === ReactiveStore.ROOT) {
+                this.data = newArray;
+            } else {
+                ReactiveStore._setKey(parent, tokens[tokens.length - 1], newArray);
+            }
+
+            if (depNode) {
+                const { subDeps } = depNode;
 
-                if (deps) {
-                    const depNode = deps[token];
+                // Only trigger index deps whose values have actually moved/changed
+                for (const key of Object.keys(subDeps)) {
+                    const oldValueAtKey = ReactiveStore._valueAtKey(oldArray, key),
+                        newValueAtKey = ReactiveStore._valueAtKey(newArray, key);
 
-                    if (depNode) {
-                        // Store parent dep node so it can be triggered after we know if targeted child property has definitely changed
-                        parentDepNodes.push(depNode);                        
-                        deps = depNode.subDeps;
-                    } else {
-                        deps = null;
+                    if (oldValueAtKey !== newValueAtKey && !subDeps[key].computed) {
+                        this._triggerChangedDeps(subDeps[key], oldValueAtKey, newValueAtKey);
                     }
                 }
 
-            } else if (!unset || search.propertyIsEnumerable(token)) {
-                // Last Token: Set/Unset search at token and handle dep changes
-                const depNode = deps && deps[token],
-                    oldValue = search[token];
+                this._triggerIdDeps(depNode, oldArray, newArray);
+                this._registerChange(depNode, newArray);
+            }
 
-                let changed = true;
-    
-                if (unset) {
-                    // Delete token if unset
-                    delete search[token];
-    
-                    // Trigger dep at token and any subDeps it may have
-                    if (depNode) {
-                        this._triggerAllDeps(depNode.subDeps, oldValue, value);
-                        this._registerChange(depNode, value);
-                    }
-    
-                } else {
-                    // Otherwise, set the new value
-                    search[token] = value;
-    
-                    // Starting with current dep, traverse down and trigger any deps for changed vals
-                    changed = this._triggerChangedDeps(depNode, oldValue, value);
-                }
-    
-                if (changed) {
-                    // Trigger any active parent dependencies that were hit
-                    for (const parentDepNode of parentDepNodes) {
-                        this._registerChange(parentDepNode, Object);
-                    }
-                }
+            // An id dep node of the array itself was given the replaced array
+            parentDepNodes.forEach((parentDepNode, idx) => this._registerChange(parentDepNode, (parentValues[idx] === current) ? newArray : parentValues[idx]));
+
+            this._addRecord(path, 'assign', oldArray, newArray);
+
+            if (hookInfo) {
+                this._runHooks('afterAssign', newArray, hookInfo);
             }
-        }
+        });
     }
 
     /**
-     * Wrapper to track changed dependencies within the given operation and then trigger all of them at once after there are no more operations pending.
-     * @param {Function} op - Operation to run.
+     * Run items that are about to be inserted into an array through the mutators for their destination index paths.
+     * @param {path} path - Path of store array.
+     * @param {number} startIdx - Index that the first item will be inserted at.
+     * @param {any[]} items - Items to insert.
+     * @returns {any[]} Mutated items (without any items whose mutators returned ReactiveStore.CANCEL/ReactiveStore.DELETE).
      */
-    _watchChanges(op) {
-        const { _changeData } = this;
+    _mutateItems(path, startIdx, items) {
+        const tokens = (path === ReactiveStore.ROOT) ? [] : this._getPathData(path).tokens,
+            mutatedItems = [];
 
-        _changeData.opCount++;
-        op();
-        _changeData.opCount--;
+        items.forEach((item, idx) => {
+            const value = this._noMutate ? item : this._mutate(this._getPathData([...tokens, startIdx + idx]), item);
 
-        // Once there are no more ops running, trigger all changed deps and clear the set
-        if (!_changeData.opCount && _changeData.deps.size) {
-            for (const dep of _changeData.deps) {
-                dep.changed();
+            if (value !== item && value && value.then instanceof Function) {
+                throw new Error('ReactiveStore: Async mutators are not supported for inserted array items.');
             }
 
-            _changeData.deps = new Set();
-        }
+            if (value !== ReactiveStore.CANCEL && value !== ReactiveStore.DELETE) {
+                mutatedItems.push(value);
+            }
+        });
+
+        return mutatedItems;
     }
 
     /**
-     * If given dep is defined, add it to the change data set to be processed after ops have completed.
-     * Also process any existence/equality dependency changes that might have happened.
-     * @param {DepNode} depNode - Dependency Node to register.
-     * @param {any} newValue - New value at corresponding path in the store
+     * Run value through the mutator for the given path (if there is one).
+     * Exact path mutators take precedence over pattern mutators, and pattern mutators are checked in the order they were added.
+     * @param {Object} pathData - pathData object of the path being written.
+     * @param {any} value - Value being written.
+     * @returns {any} Mutated value.
      */
-    _registerChange(depNode, newValue) {
-        if (!depNode) return;
-    
-        const changedDepSet = this._changeData.deps,
-            unset = (newValue === ReactiveStore.DELETE);
-
-        // Trigger value dependency
-        if (depNode.valueDep) {
-            changedDepSet.add(depNode.valueDep);
+    _mutate(pathData, value) {
+        if (pathData.mutate) {
+            return pathData.mutate(value, this, { params: [] });
         }
 
-        // Check if existence dependency should be triggered 
-        if (depNode.existsDep) {
-            const existenceChanged = (depNode.exists ? unset : !unset);
+        for (const { tokens, mutate } of this._patternMutators.values()) {
+            const params = matchPattern(tokens, pathData.tokens);
 
-            if (depNode.existsDep && existenceChanged) {
-                changedDepSet.add(depNode.existsDep);
-                depNode.exists = !depNode.exists;
+            if (params) {
+                return mutate(value, this, { params });
             }
         }
-      
-
-        // Check if equality dependencies should be triggered
-        if (depNode.eqDepMap) {
-            // In terms of "value", unset and undefined are the same, so just use undefined
-            const eqDep = depNode.eqDepMap.get(unset ? undefined : newValue),
-                { activeEqDep } = depNode;
 
-            if (eqDep !== activeEqDep) {
-                if (eqDep) changedDepSet.add(eqDep);
-                if (activeEqDep) changedDepSet.add(activeEqDep);
+        return value;
+    }
 
-                depNode.activeEqDep = eqDep;
+    /**
+     * Find the item in the given array whose id key matches the given id.
+     * @param {any} array - Array to search.
+     * @param {any} id - Id of the item.
+     * @returns {any} The item (ReactiveStore.DELETE if it doesn't exist).
+     */
+    _findById(array, id) {
+        if (Array.isArray(array)) {
+            for (const item of array) {
+                if (ReactiveStore._valueAtKey(item, this._idKey) === id) return item;
             }
         }
+
+        return ReactiveStore.DELETE;
     }
-    
+
     /**
-     * Recursively traverse down deps and trigger all existing dependencies that are set in the keyFilter.
-     * @param {Object.<string, DepNode>} deps - key -> DepNode map to traverse through.
-     * @param {Object|Array} keyFilter - This will be traversed in tandem with deps and only shared keys at each level will be triggered.
-     *      Traversal branches will also be stopped early if there are no more levels to traverse in keyFilter.
-     * @param {any} curValue - Current value at the deps corresponding level in the store. Will be traversed in tandem if traversable.
-     * @param {Set} seenTraversableSet - Used to prevent infinite recursion if keyFilter is cyclical.
+     * Get the id dep node for an item in an array.
+     * @param {DepNode} depNode - Dep node of the array.
+     * @param {any} array - Array value.
+     * @param {any} item - Item in the array.
+     * @returns {DepNode|undefined} Id dep node (if the item is being tracked by id).
      */
-    _triggerAllDeps(deps, keyFilter, curValue, seenTraversableSet) {
-        if (deps && ReactiveStore.isTraversable(keyFilter)) {
-            if (!seenTraversableSet) {
-                seenTraversableSet = new Set();
-            }
+    _getIdNode(depNode, array, item) {
+        if (depNode && depNode.idDeps && Array.isArray(array) && ReactiveStore.isTraversable(item)) {
+            return depNode.idDeps.get(ReactiveStore._valueAtKey(item, this._idKey));
+        }
+    }
 
-            // Stop traversal if keyFilter has already been seen
-            if (!seenTraversableSet.has(keyFilter)) {
-                seenTraversableSet.add(keyFilter);
+    /**
+     * Trigger the id dep nodes of the given array dep node for every tracked item that is different between the old and new items.
+     * @param {DepNode} depNode - Dep node of the array.
+     * @param {any} oldItems - Old array (or array of old items).
+     * @param {any} newItems - New array (or array of new items).
+     */
+    _triggerIdDeps(depNode, oldItems, newItems) {
+        if (!depNode || !depNode.idDeps) return;
 
-                for (const key of Object.keys(deps)) {
-                    const curValueAtKey = ReactiveStore._valueAtKey(curValue, key);
-    
-                    this._registerChange(deps[key], curValueAtKey);
-    
-                    if (keyFilter.propertyIsEnumerable(key)) {
-                        this._triggerAllDeps(deps[key].subDeps, keyFilter[key], curValueAtKey, seenTraversableSet);
-                    }
-                }
+        for (const [id, idNode] of depNode.idDeps) {
+            const oldItem = this._findById(oldItems, id),
+                newItem = this._findById(newItems, id);
+
+            if (oldItem !== newItem) {
+                this._triggerChangedDeps(idNode, oldItem, newItem);
             }
         }
     }
-    
+
     /**
-     * Check for changes between oldValue and newValue and recursively traverse down to check/trigger
-     * deep dependency changes if necessary.
-     * @param {DepNode} depNode - DepNode for the current traversal level.
-     * @param {any} oldValue - Old value at current traversal level.
-     * @param {any} newValue - New value at current traversal level.
-     * @param {Set} seenTraversableSet - Used to prevent infinite recursion if oldValue or newValue is cyclical.
-     * @returns {boolean} True if value has changed.
+     * Get the dep node at the given path tokens.
+     * @param {string[]} tokens - Path tokens.
+     * @param {boolean} [create] - If true, missing dep nodes will be created along the way.
+     * @returns {DepNode|undefined} Dep node (if it exists).
      */
-    _triggerChangedDeps(depNode, oldValue, newValue, seenTraversableSet) {
-        const subDeps = depNode && depNode.subDeps;
+    _getDepNode(tokens, create) {
+        let depNode = this[ReactiveStore.ROOT];
 
-        let newValueTraversed = false,
-            changed = false;
-    
-        if (useStrictEqualityCheck(oldValue)) {
-            // Perform strict equality check to determine change if we can
-            changed = (oldValue !== newValue);
+        for (const token of tokens) {
+            if (create) {
+                depNode = ensureDepNode(depNode.subDeps, token, depNode);
+            } else {
+                depNode = depNode.subDeps[token];
+                if (!depNode) break;
+            }
+        }
 
-        } else if (oldValue === newValue) {
-            // Cannot check for differences if oldValue and newValue are literally the same reference, so assume changed.
-            changed = true;
+        return depNode;
+    }
 
-        } else if (ReactiveStore.isTraversable(oldValue)) {
-            // If oldValue is traversable...
-            if (!seenTraversableSet) {
-                seenTraversableSet = new Set();
-            }
+    /**
+     * Validate a value that is about to be written at path against every schema rule at or below that path (and every rule of an ancestor of the path against the value it would have after the write), and update the errors for those paths.
+     * @param {path|Symbol} path - Path the value is being written to (or ReactiveStore.ROOT).
+     * @param {any} value - Value being written (ReactiveStore.DELETE for deletes).
+     * @returns {boolean} True if the value is valid and it doesn't make any ancestor that was valid invalid.
+     */
+    _validateAtPath(path, value) {
+        const tokens = (path === ReactiveStore.ROOT) ? [] : this._getPathData(path).tokens,
+            errorMap = new Map(),
+            ancestorErrorMap = new Map(),
+            ancestorPaths = new Set();
 
-            if (seenTraversableSet.has(oldValue) || seenTraversableSet.has(newValue)) {
-                // Assume changed if oldValue or newValue has already been seen once because cyclical data structures cannot be checked for deep changes
-                changed = true;
+        let madeAncestorInvalid = false;
 
-            } else {
-                // Otherwise, add oldValue to the seenTraversableSet and continue
-                seenTraversableSet.add(oldValue);
+        for (const { tokens: ruleTokens, rule } of this._schema.rules) {
+            if (ruleTokens.length < tokens.length) {
+                // Check rules of ancestors against the value that the ancestor would have after the write
+                if (ruleTokens.some((ruleToken, idx) => ruleToken !== '*' && ruleToken !== tokens[idx])) continue;
 
-                const keySet = new Set(Object.keys(oldValue));
+                const ancestorTokens = tokens.slice(0, ruleTokens.length),
+                    ancestorPath = formatPath(ancestorTokens),
+                    oldValue = this._peekAtPath(ancestorTokens),
+                    newValue = this._writeToCopy(oldValue, tokens.slice(ancestorTokens.length), value),
+                    messages = checkRule(rule, (newValue === ReactiveStore.DELETE) ? undefined : newValue, newValue !== ReactiveStore.DELETE, this);
 
-                if (ReactiveStore.isTraversable(newValue)) {
-                    // If newValue is also traversable, add it to the seenTraversableSet
-                    seenTraversableSet.add(newValue);
+                ancestorPaths.add(ancestorPath);
 
-                    // Add its keys to the keySet
-                    const newValueKeys = Object.keys(newValue);
+                if (messages.length) {
+                    ancestorErrorMap.set(ancestorPath, [...(ancestorErrorMap.get(ancestorPath) || []), ...messages]);
 
-                    // Definitely changed if values don't share the same constructor or have a different amount of keys
-                    if (oldValue.constructor !== newValue.constructor || keySet.size !== newValueKeys.length) {
-                        changed = true;
+                    // Only reject the write if it makes the ancestor invalid (so that ancestors that are already invalid can still be fixed one value at a time)
+                    if (!checkRule(rule, (oldValue === ReactiveStore.DELETE) ? undefined : oldValue, oldValue !== ReactiveStore.DELETE, this).length) {
+                        madeAncestorInvalid = true;
                     }
+                }
 
-                    // Only process newValueKeys if we don't already know of any changes, or there are subDeps to process
-                    if (!changed || subDeps) {
-                        // Add all newValueKeys to the keySet
-                        for (const key of newValueKeys) {
-                            if (!keySet.has(key)) {
-                                // Definitely changed if newValue key does not exist in oldValue and its value is not undefined
-                                // NOTE: The presence of a new key doesn't matter if it is set to undefined because that means the value hasn't changed.
-                                if (!changed && newValue[key] !== undefined) {
-                                    changed = true;
-                                    if (!subDeps) break;
-                                }
+                continue;
+            }
 
-                                keySet.add(key);
-                            }
-                        }
+            // Only check rules at or below the path
+            if (tokens.some((token, idx) => ruleTokens[idx] !== '*' && ruleTokens[idx] !== token)) continue;
+
+            // Traverse down the value along the rule path and check the rule against every matching value
+            const check = (tokenIdx, pathTokens, current, exists) => {
+                if (tokenIdx === ruleTokens.length) {
+                    const messages = checkRule(rule, current, exists, this);
+
+                    if (messages.length) {
+                        const errorPath = formatPath(pathTokens);
+                        errorMap.set(errorPath, [...(errorMap.get(errorPath) || []), ...messages]);
                     }
 
-                    // Set newValueTraversed to true so that _triggerAllDeps check below is skipped
-                    newValueTraversed = true;
-                    
-                } else {
-                    // Definitely changed if newValue is not traversable
-                    changed = true;
+                    return;
                 }
 
-                // Only initiate further traversal if we don't already know of any changes, or there are subDeps to process
-                if (!changed || subDeps) {
-                    // Iterate through all unique keys between the old/new values and check for deep changes
-                    for (const key of keySet) {
-                        const subDepNode = subDeps && subDeps[key];
-                        
-                        // Only traverse if change has not been found or there is a sub-dependency to check
-                        if (!changed || subDepNode) {
-                            const oldValueAtKey = ReactiveStore._valueAtKey(oldValue, key),
-                                newValueAtKey = ReactiveStore._valueAtKey(newValue, key),
-                                valueAtKeyChanged = this._triggerChangedDeps(subDepNode, oldValueAtKey, newValueAtKey, seenTraversableSet);
-                            
-                            if (!changed && valueAtKeyChanged) {
-                                changed = true;
-                            }
-                        }                        
-                    }
+                // Rules below a non-existent/non-traversable value don't apply
+                if (!exists || !ReactiveStore.isTraversable(current)) return;
+
+                const ruleToken = ruleTokens[tokenIdx],
+                    keys = (ruleToken === '*') ? ReactiveStore._keysOf(current) : [ruleToken];
+
+                for (const key of keys) {
+                    const valueAtKey = ReactiveStore._valueAtKey(current, key),
+                        keyExists = (valueAtKey !== ReactiveStore.DELETE);
+
+                    check(tokenIdx + 1, [...pathTokens, key], keyExists ? valueAtKey : undefined, keyExists);
                 }
-            }
-            
+            };
+
+            const exists = (value !== ReactiveStore.DELETE);
+
+            check(tokens.length, tokens, exists ? value : undefined, exists);
+        }
+
+        const valid = !errorMap.size && !madeAncestorInvalid;
+
+        ancestorErrorMap.forEach((messages, ancestorPath) => errorMap.set(ancestorPath, messages));
+        this._updateErrors(tokens, errorMap, ancestorPaths);
+
+        return valid;
+    }
+
+    /**
+     * Get the value that the given value would have after writing value at the given tokens within it, without modifying it (each traversed value is copied).
+     * @param {any} current - Value to write into (ReactiveStore.DELETE if it does not exist).
+     * @param {string[]} tokens - Path tokens relative to current.
+     * @param {any} value - Value to write (ReactiveStore.DELETE for deletes).
+     * @returns {any} Resulting value.
+     */
+    _writeToCopy(current, tokens, value) {
+        if (!tokens.length) return value;
+
+        if (!ReactiveStore.isTraversable(current)) {
+            // Deleting below a non-traversable value doesn't change anything, and writing below one coerces it into an Object
+            if (value === ReactiveStore.DELETE) return current;
+
+            current = {};
         } else {
-            // Run custom equality check for the oldValue's instance type (e.g. Set, Date, etc) if there is one
-            const isEqual = ReactiveStore.eqCheckMap.get(oldValue.constructor);
+            current = ReactiveStore._clone(current);
+        }
 
-            if (!isEqual || !isEqual(oldValue, newValue)) {
-                changed = true;
+        const [token, ...restTokens] = tokens,
+            valueAtKey = this._writeToCopy(ReactiveStore._valueAtKey(current, token), restTokens, value);
+
+        if (valueAtKey === ReactiveStore.DELETE) {
+            ReactiveStore._deleteKey(current, token);
+        } else {
+            ReactiveStore._setKey(current, token, valueAtKey);
+        }
+
+        return current;
+    }
+
+    /**
+     * Replace the current errors at and below the given path tokens (and at the given ancestor paths) with the given errors and trigger any affected error deps.
+     * @param {string[]} tokens - Tokens of the validated path.
+     * @param {Map.<string, string[]>} errorMap - New errors for paths at or below the validated path and for the ancestor paths.
+     * @param {Set.<string>} [ancestorPaths] - Ancestor paths whose rules were checked as well.
+     */
+    _updateErrors(tokens, errorMap, ancestorPaths = new Set()) {
+        const { _errors } = this,
+            changedPaths = new Set();
+
+        for (const errorPath of _errors.keys()) {
+            const errorTokens = this._getPathData(errorPath).tokens;
+
+            if ((ancestorPaths.has(errorPath) || tokens.every((token, idx) => errorTokens[idx] === token)) && !errorMap.has(errorPath)) {
+                _errors.delete(errorPath);
+                changedPaths.add(errorPath);
             }
         }
 
-        // Trigger all deep dependencies present in newValue if it has not been traversed
-        if (!newValueTraversed) {
-            this._triggerAllDeps(subDeps, newValue, newValue);
+        for (const [errorPath, messages] of errorMap) {
+            const oldMessages = _errors.get(errorPath);
+
+            if (!oldMessages || oldMessages.join('\n') !== messages.join('\n')) {
+                _errors.set(errorPath, messages);
+                changedPaths.add(errorPath);
+            }
         }
-        
-        if (changed) {
-            this._registerChange(depNode, newValue);
+
+        if (changedPaths.size) {
+            for (const errorPath of changedPaths) {
+                const { errorsDep } = this._getPathData(errorPath);
+                if (errorsDep) errorsDep.changed();
+            }
+
+            this._errorsDep.changed();
+        }
+    }
+
+    /**
+     * Drop the oldest pathData entries that hold nothing but tokens until the cache is back down to 3/4 of ReactiveStore.pathCacheLimit.
+     */
+    _evictPathData() {
+        const { _pathData } = this,
+            targetSize = Math.floor(ReactiveStore.pathCacheLimit * 0.75);
+
+        for (const [path, pathData] of _pathData) {
+            if (_pathData.size <= targetSize) break;
+
+            if (this._isUnusedPathData(pathData)) {
+                _pathData.delete(path);
+            }
         }
-    
-        return changed;
     }
 
     /**
@@ -652,16 +2863,31 @@ export default class ReactiveStore {
     _getPathData(path) {
         const { _pathData } = this;
 
-        if (path !== ReactiveStore.ROOT) {
-            path = String(path);
+        // Paths that are already in canonical form (i.e. most string paths) can be looked up right away
+        if (typeof path === 'string' && _pathData.has(path)) {
+            return _pathData.get(path);
+        }
+
+        let tokens = [path];
+
+        if (Array.isArray(path)) {
+            if (!path.length) {
+                throw new Error('ReactiveStore: Path arrays must contain at least one key.');
+            }
+
+            tokens = path.map(String);
+            path = formatPath(tokens);
+        } else if (path !== ReactiveStore.ROOT) {
+            tokens = parsePath(String(path));
+            path = formatPath(tokens);
         }
 
         if (!_pathData.has(path)) {
-            _pathData.set(path, {
-                tokens: (typeof path === 'string')
-                    ? path.split('.')
-                    : [path]
-            });
+            _pathData.set(path, { tokens, path });
+
+            if (_pathData.size > ReactiveStore.pathCacheLimit) {
+                this._evictPathData();
+            }
         }
 
         return _pathData.get(path);
@@ -679,17 +2905,21 @@ export default class ReactiveStore {
 
         // Don't traverse further if path is ReactiveStore.ROOT
         if (path !== ReactiveStore.ROOT) {
-            const { tokens } = this._getPathData(path),
-                reactive = Tracker.active;
+            const pathData = this._getPathData(path),
+                { tokens, computed } = pathData,
+                reactive = Reactivity.isActive();
         
             for (const token of tokens) {
                 if (reactive) {
-                    depNode = ensureDepNode(depNode.subDeps, token);
+                    depNode = ensureDepNode(depNode.subDeps, token, depNode);
                 }
         
-                if (exists) {
-                    if (ReactiveStore.isTraversable(value) && value.propertyIsEnumerable(token)) {
-                        value = value[token];
+                // Computed paths are not stored in the data, so there is nothing to traverse
+                if (exists && !computed) {
+                    const valueAtToken = ReactiveStore._valueAtKey(value, token);
+
+                    if (valueAtToken !== ReactiveStore.DELETE) {
+                        value = valueAtToken;
                     } else {
                         value = undefined;
                         exists = false;
@@ -697,6 +2927,15 @@ export default class ReactiveStore {
                     }
                 }
             }
+
+            if (computed) {
+                value = this._evaluateComputed(pathData);
+                exists = (value !== ReactiveStore.DELETE);
+
+                if (!exists) {
+                    value = undefined;
+                }
+            }
         }
     
         return { depNode, value, exists };
@@ -3,6 +3,7 @@ import { Tracker } from 'meteor/tracker';
 import assert from 'assert';
 
 const nextFlush = () => new Promise(resolve => Tracker.afterFlush(resolve));
+const toTuples = records => records.map(record => [record.path, record.type, record.oldValue, record.newValue]);
 
 describe('ReactiveStore', () => {
     describe('#get', () => {
@@ -99,4 +100,2132 @@ describe('ReactiveStore', () => {
             }
         });
     });
+
+    describe('#observe', () => {
+        it('should pass one batch of matching change records per operation', async (done) => {
+            try {
+                const test = new ReactiveStore({ todos: { a: { done: false }, b: { done: false } } }),
+                    batches = [];
+
+                test.observe('todos.*.done', records => batches.push(records));
+
+                // Both changed paths should be delivered together in a single batch
+                test.assign({
+                    'todos.a.done': true,
+                    'todos.b.done': true,
+                    'other': 1
+                });
+                assert.equal(batches.length, 1);
+                assert.deepEqual(toTuples(batches[0]), [
+                    ['todos.a.done', 'assign', false, true],
+                    ['todos.b.done', 'assign', false, true]
+                ]);
+
+                // Changes above the pattern should be expanded to the matching sub-paths that changed
+                batches.length = 0;
+
+                test.assign('todos', { a: { done: true }, c: { done: false } });
+                assert.equal(batches.length, 1);
+                assert.deepEqual(toTuples(batches[0]), [
+                    ['todos.b.done', 'delete', true, ReactiveStore.DELETE],
+                    ['todos.c.done', 'assign', ReactiveStore.DELETE, false]
+                ]);
+
+                // Unchanged values and non-matching paths should not notify
+                batches.length = 0;
+
+                test.assign({ 'todos.a.done': true, 'other': 2 });
+                assert.equal(batches.length, 0);
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+
+        it('should notify onChange listeners until stopped', async (done) => {
+            try {
+                const test = new ReactiveStore(),
+                    batches = [];
+
+                const handle = test.onChange(records => batches.push(records));
+
+                test.set({ list: [1] });
+                test.delete('list');
+                assert.equal(batches.length, 2);
+                assert.equal(batches[0][0].path, ReactiveStore.ROOT);
+                assert.equal(batches[0][0].type, 'set');
+                assert.deepEqual(batches[1][0], {
+                    path: 'list', type: 'delete', oldValue: [1], newValue: ReactiveStore.DELETE
+                });
+
+                handle.stop();
+                test.assign('list', [2]);
+                assert.equal(batches.length, 2);
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+    });
+
+    describe('#undo/#redo', () => {
+        it('should revert and reapply each batch of changes', async (done) => {
+            try {
+                const test = new ReactiveStore({ name: 'a', tags: { x: true } }, null, { history: true });
+
+                let canUndo, canRedo, ran = 0;
+
+                Tracker.autorun(() => {
+                    canUndo = test.canUndo();
+                    canRedo = test.canRedo();
+                    ran++;
+                });
+
+                assert.equal(canUndo, false);
+                assert.equal(canRedo, false);
+
+                test.assign({ 'name': 'b', 'deep.field': 1 });
+                test.delete('tags.x');
+                await nextFlush();
+                assert.equal(ran, 2);
+                assert.equal(canUndo, true);
+                assert.deepEqual(test.data, { name: 'b', tags: {}, deep: { field: 1 } });
+
+                // Undoing the delete should restore the key
+                test.undo();
+                await nextFlush();
+                assert.equal(canRedo, true);
+                assert.deepEqual(test.data, { name: 'b', tags: { x: true }, deep: { field: 1 } });
+
+                // Undoing the assign should remove added keys
+                test.undo();
+                await nextFlush();
+                assert.equal(canUndo, false);
+                assert.deepEqual(test.data, { name: 'a', tags: { x: true } });
+                assert.equal(test.undo(), false);
+
+                test.redo();
+                test.redo();
+                await nextFlush();
+                assert.equal(canRedo, false);
+                assert.deepEqual(test.data, { name: 'b', tags: {}, deep: { field: 1 } });
+
+                // New changes should clear the redo stack
+                test.undo();
+                test.set(null);
+                assert.equal(test.canRedo(), false);
+                test.undo();
+                assert.deepEqual(test.data, { name: 'b', tags: { x: true }, deep: { field: 1 } });
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+
+        it('should remove array items that were added when undoing', async (done) => {
+            try {
+                const test = new ReactiveStore({ list: [1, 2] }, null, { history: true }),
+                    lengths = [];
+
+                Tracker.autorun(() => lengths.push(test.length('list')));
+
+                test.assign('list.2', 3);
+                await nextFlush();
+
+                test.undo();
+                await nextFlush();
+                assert.equal(test.data.list.length, 2);
+                assert.deepEqual(test.data, { list: [1, 2] });
+                assert.deepEqual(lengths, [2, 3, 2]);
+
+                test.redo();
+                assert.deepEqual(test.data, { list: [1, 2, 3] });
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+
+        it('should respect the history limit', async (done) => {
+            try {
+                const test = new ReactiveStore(0);
+
+                test.enableHistory({ limit: 2 });
+                test.set(1);
+                test.set(2);
+                test.set(3);
+
+                assert.equal(test.undo(), true);
+                assert.equal(test.undo(), true);
+                assert.equal(test.undo(), false);
+                assert.equal(test.data, 1);
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+    });
+
+    describe('#defineComputed', () => {
+        it('should lazily compute, cache and reactively update computed paths', async (done) => {
+            try {
+                const test = new ReactiveStore({ cart: { items: [{ price: 1 }, { price: 2 }] } });
+
+                let computeCount = 0;
+
+                test.defineComputed('cart.total', (store) => {
+                    computeCount++;
+                    return store.get('cart.items').reduce((total, item) => total + item.price, 0);
+                });
+
+                // Should not compute until accessed
+                assert.equal(computeCount, 0);
+                assert.equal(test.get('cart.total'), 3);
+                assert.equal(test.get('cart.total'), 3);
+                assert.equal(computeCount, 1);
+
+                let total, hasTotal, isFive, ran = 0;
+
+                Tracker.autorun(() => {
+                    total = test.get('cart.total');
+                    hasTotal = test.has('cart.total');
+                    isFive = test.equals('cart.total', 5);
+                    ran++;
+                });
+
+                assert.equal(total, 3);
+                assert.equal(hasTotal, true);
+                assert.equal(isFive, false);
+
+                // Should recompute and rerun dependents when the computed value changes
+                test.assign('cart.items.1.price', 4);
+                await nextFlush();
+                assert.equal(ran, 2);
+                assert.equal(total, 5);
+                assert.equal(isFive, true);
+
+                // Should not rerun dependents if the computed value stays the same
+                test.assign('cart.items', [{ price: 5 }]);
+                await nextFlush();
+                assert.equal(ran, 2);
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+
+        it('should only allow assigning computed paths with a setter', async (done) => {
+            try {
+                const test = new ReactiveStore({ first: 'a', last: 'b' });
+
+                test.defineComputed('full', store => `${store.get('first')} ${store.get('last')}`);
+                assert.throws(() => test.assign('full', 'c d'));
+
+                test.defineComputed('full', store => `${store.get('first')} ${store.get('last')}`, (value, store) => {
+                    const [first, last] = value.split(' ');
+                    store.assign({ first, last });
+                });
+
+                test.assign('full', 'c d');
+                assert.equal(test.get('full'), 'c d');
+                assert.deepEqual(test.data, { first: 'c', last: 'd' });
+
+                test.removeComputed('full');
+                assert.equal(test.get('full'), undefined);
+                assert.equal(test.has('full'), false);
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+    });
+
+    describe('#transaction', () => {
+        it('should batch changes and roll them back on error or cancel', async (done) => {
+            try {
+                const test = new ReactiveStore({ a: 1, b: { c: 2 } }),
+                    batches = [];
+
+                let ran = 0;
+
+                test.onChange(records => batches.push(records));
+                Tracker.autorun((computation) => {
+                    test.get('a');
+                    test.has('b.c');
+                    if (!computation.firstRun) ran++;
+                });
+
+                // Successful transaction should commit everything in one batch
+                test.transaction((store) => {
+                    store.assign('a', 2);
+                    store.delete('b.c');
+                    store.set({ ...store.data, d: true });
+                });
+                await nextFlush();
+                assert.equal(ran, 1);
+                assert.equal(batches.length, 1);
+                assert.deepEqual(test.data, { a: 2, b: {}, d: true });
+
+                // Thrown error should roll back all changes without triggering anything
+                ran = 0;
+                batches.length = 0;
+
+                assert.throws(() => test.transaction((store) => {
+                    store.assign({ 'a': 3, 'b.c': 3, 'e.f': true });
+                    throw new Error('Failed');
+                }), /Failed/);
+                await nextFlush();
+                assert.equal(ran, 0);
+                assert.equal(batches.length, 0);
+                assert.deepEqual(test.data, { a: 2, b: {}, d: true });
+
+                // Returning CANCEL should roll back too, while nested transactions only roll back their own changes
+                const result = test.transaction((store) => {
+                    store.assign('a', 4);
+
+                    store.transaction((nested) => {
+                        nested.assign('d', false);
+                        return ReactiveStore.CANCEL;
+                    });
+
+                    return 'done';
+                });
+                await nextFlush();
+                assert.equal(result, 'done');
+                assert.equal(ran, 1);
+                assert.deepEqual(batches[0].map(record => record.path), ['a']);
+                assert.deepEqual(test.data, { a: 4, b: {}, d: true });
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+
+        it('should remove array items that were added when rolling back', async (done) => {
+            try {
+                const test = new ReactiveStore({ list: [1, 2] }),
+                    lengths = [];
+
+                Tracker.autorun(() => lengths.push(test.length('list')));
+
+                assert.throws(() => test.transaction((store) => {
+                    store.assign('list.2', 3);
+                    store.assign('list.4', 5);
+                    throw new Error('Failed');
+                }), /Failed/);
+                await nextFlush();
+                assert.equal(test.data.list.length, 2);
+                assert.deepEqual(test.data, { list: [1, 2] });
+                assert.deepEqual(lengths, [2]);
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+
+        it('should keep triggering changes after a mutator throws', async (done) => {
+            try {
+                const test = new ReactiveStore({}, {
+                    bad() {
+                        throw new Error('Bad value');
+                    }
+                });
+
+                let ran = 0;
+
+                Tracker.autorun((computation) => {
+                    test.get('good');
+                    if (!computation.firstRun) ran++;
+                });
+
+                assert.throws(() => test.assign({ good: 1, bad: 1 }), /Bad value/);
+                test.assign('good', 2);
+                await nextFlush();
+                assert.equal(ran, 1);
+                assert.equal(test.data.good, 2);
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+    });
+
+    describe('#setSchema', () => {
+        const schema = {
+            'name': { type: String, required: true, min: 2 },
+            'status': { enum: ['open', 'closed'] },
+            'items': { type: Array, items: { type: Object } },
+            'items.*.qty': { type: Number, min: 0, max: 10 },
+            'email': { validate: value => value.includes('@') || 'Email is invalid' }
+        };
+
+        it('should reject invalid values and reactively report errors', async (done) => {
+            try {
+                const test = new ReactiveStore({ name: 'ab', items: [] }, null, { schema });
+
+                let qtyErrors, allErrors;
+
+                Tracker.autorun(() => {
+                    qtyErrors = test.errors('items.1.qty');
+                    allErrors = test.errors();
+                });
+
+                assert.deepEqual(allErrors, {});
+
+                // Invalid paths should be rejected while valid ones are still assigned
+                test.assign({
+                    'status': 'pending',
+                    'email': 'test',
+                    'items': [{ qty: 1 }, { qty: 11 }, 5]
+                });
+                test.delete('name');
+                await nextFlush();
+                assert.deepEqual(test.data, { name: 'ab', items: [] });
+                assert.deepEqual(qtyErrors, ['Value must be at most 10']);
+                assert.deepEqual(allErrors, {
+                    'status': ['Value must be one of [open, closed]'],
+                    'email': ['Email is invalid'],
+                    'items.1.qty': ['Value must be at most 10'],
+                    'items.2': ['Value must be of type Object'],
+                    'name': ['Value is required']
+                });
+
+                // Assigning valid values should clear the errors at and below the path
+                test.assign({
+                    'status': 'open',
+                    'items': [{ qty: 1 }]
+                });
+                await nextFlush();
+                assert.deepEqual(test.data, { name: 'ab', status: 'open', items: [{ qty: 1 }] });
+                assert.deepEqual(qtyErrors, []);
+                assert.deepEqual(Object.keys(allErrors), ['email', 'name']);
+
+                // Setting the root should validate every rule
+                test.set({ name: 'a' });
+                assert.deepEqual(test.data.name, 'ab');
+                assert.deepEqual(test.errors('name'), ['Length must be at least 2']);
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+
+        it('should write invalid values in report mode', async (done) => {
+            try {
+                const test = new ReactiveStore({}, {
+                    'qty': value => Number(value)
+                });
+
+                test.setSchema({ 'qty': { type: Number, max: 5 } }, { mode: 'report' });
+
+                // Validation should run on the mutated value
+                test.assign('qty', '6');
+                assert.strictEqual(test.data.qty, 6);
+                assert.deepEqual(test.errors('qty'), ['Value must be at most 5']);
+
+                test.setSchema(null);
+                assert.deepEqual(test.errors(), {});
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+
+        it('should check rules of ancestors against their value after the write', async (done) => {
+            try {
+                const ancestorSchema = {
+                        'items': { type: Array, max: 2 },
+                        'range': { validate: range => range.from <= range.to || 'Range is invalid' }
+                    },
+                    test = new ReactiveStore({ items: [1], range: { from: 1, to: 2 } }, null, { schema: ancestorSchema });
+
+                let rangeErrors;
+
+                Tracker.autorun(() => {
+                    rangeErrors = test.errors('range');
+                });
+
+                test.assign('items.1', 2);
+                test.assign('items.5', 3);
+                test.assign('items.6', 4);
+                assert.deepEqual(test.data.items, [1, 2]);
+                assert.deepEqual(test.errors('items'), ['Length must be at most 2']);
+
+                test.delete('items.1');
+                test.assign('range.from', 3);
+                await nextFlush();
+                assert.deepEqual(test.errors('items'), []);
+                assert.deepEqual(test.data.range, { from: 1, to: 2 });
+                assert.deepEqual(rangeErrors, ['Range is invalid']);
+
+                // Ancestors that are already invalid can still be fixed one value at a time
+                test.setSchema(schema, { mode: 'report' });
+                test.assign('range.from', 5);
+                test.setSchema(schema);
+                test.assign('range.to', 4);
+                assert.deepEqual(test.data.range, { from: 5, to: 4 });
+                test.assign('range.to', 6);
+                await nextFlush();
+                assert.deepEqual(rangeErrors, []);
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+    });
+
+    describe('#persist', () => {
+        it('should hydrate and write back persisted paths', async (done) => {
+            try {
+                const adapter = ReactiveStore.createMemoryAdapter(),
+                    options = { key: 'test', adapter, paths: ['filters', 'panels.open'] };
+
+                const first = new ReactiveStore({ filters: {}, draft: '' }, null, { persist: options });
+
+                first.assign({
+                    'filters.tags': new Set(['a', 'b']),
+                    'filters.since': new Date(0),
+                    'panels.open': true,
+                    'draft': 'not persisted'
+                });
+
+                // A new store with the same key should be hydrated with the persisted paths only
+                const second = new ReactiveStore({ draft: '' }, {
+                    'panels.open': () => ReactiveStore.CANCEL
+                }, { persist: options });
+
+                assert.deepEqual(second.data, {
+                    draft: '',
+                    filters: { tags: new Set(['a', 'b']), since: new Date(0) },
+                    panels: { open: true }
+                });
+                assert.ok(second.data.filters.tags instanceof Set);
+                assert.ok(second.data.filters.since instanceof Date);
+
+                // Changes to paths that are not persisted should not be written
+                const stored = adapter.getItem('test');
+
+                second.assign('draft', 'changed');
+                assert.equal(adapter.getItem('test'), stored);
+
+                second.delete('filters');
+                assert.deepEqual(ReactiveStore.jsonSerializer.deserialize(adapter.getItem('test')), {
+                    version: 0,
+                    data: { 'panels.open': true }
+                });
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+
+        it('should throttle writes and migrate older versions', async (done) => {
+            try {
+                const adapter = ReactiveStore.createMemoryAdapter();
+
+                adapter.setItem('test', JSON.stringify({ version: 1, data: { count: 1 } }));
+
+                const test = new ReactiveStore();
+                const handle = test.persist({
+                    key: 'test',
+                    adapter,
+                    version: 2,
+                    throttle: 10,
+                    migrate: (data, version) => ({ count: data.count + version })
+                });
+
+                await handle.ready;
+                assert.deepEqual(test.data, { count: 2 });
+
+                test.assign('count', 3);
+                test.assign('count', 4);
+                assert.equal(adapter.getItem('test'), JSON.stringify({ version: 1, data: { count: 1 } }));
+
+                await new Promise(resolve => setTimeout(resolve, 20));
+                assert.deepEqual(JSON.parse(adapter.getItem('test')), { version: 2, data: { count: 4 } });
+
+                handle.clear();
+                assert.equal(adapter.getItem('test'), null);
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+
+        it('should discard stored data that cannot be deserialized', async (done) => {
+            try {
+                const adapter = ReactiveStore.createMemoryAdapter(),
+                    errors = [];
+
+                adapter.setItem('test', '{"version":0,"data":');
+
+                const test = new ReactiveStore({ count: 1 });
+                const handle = test.persist({ key: 'test', adapter, onError: error => errors.push(error) });
+
+                await handle.ready;
+                assert.deepEqual(test.data, { count: 1 });
+                assert.equal(adapter.getItem('test'), null);
+                assert.equal(errors.length, 1);
+                assert.ok(errors[0] instanceof SyntaxError);
+
+                // The same applies to async adapters, whose ready Promise should still resolve
+                adapter.setItem('test', 'corrupt');
+
+                const asyncTest = new ReactiveStore({ count: 1 });
+
+                await asyncTest.persist({
+                    key: 'test',
+                    adapter: { ...adapter, getItem: key => Promise.resolve(adapter.getItem(key)) }
+                }).ready;
+                assert.deepEqual(asyncTest.data, { count: 1 });
+                assert.equal(adapter.getItem('test'), null);
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+    });
+
+    describe('#stats', () => {
+        it('should prune dependencies once their computations stop', async (done) => {
+            try {
+                const test = new ReactiveStore({ rows: { a: { selected: true } } });
+
+                let rowId = 'a';
+
+                const computation = Tracker.autorun(() => {
+                    test.get(`rows.${rowId}.selected`);
+                    test.has(`rows.${rowId}`);
+                    test.equals('rows.a.selected', true);
+                });
+
+                assert.deepEqual(test.stats(), {
+                    depNodes: 3, valueDeps: 1, existsDeps: 1, keysDeps: 0, lengthDeps: 0, idDeps: 0, eqDeps: 1, paths: 2
+                });
+
+                // Deps for paths that are no longer used after a rerun should be removed (parsed paths are only dropped along with their dep nodes, so paths that are still read stay cached)
+                rowId = 'b';
+                test.assign('rows.a.selected', false);
+                await nextFlush();
+                await nextFlush();
+                assert.deepEqual(test.stats(), {
+                    depNodes: 5, valueDeps: 1, existsDeps: 1, keysDeps: 0, lengthDeps: 0, idDeps: 0, eqDeps: 1, paths: 4
+                });
+
+                computation.stop();
+                await nextFlush();
+                assert.deepEqual(test.stats(), {
+                    depNodes: 0, valueDeps: 0, existsDeps: 0, keysDeps: 0, lengthDeps: 0, idDeps: 0, eqDeps: 0, paths: 0
+                });
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+
+        it('should count keys, length and id dependencies', async (done) => {
+            try {
+                const test = new ReactiveStore({ rows: { a: 1 }, list: [{ _id: 'x' }, { _id: 'y' }] });
+
+                const computation = Tracker.autorun(() => {
+                    test.keys('rows');
+                    test.length('list');
+                    test.getById('list', 'x');
+                    test.getById('list', 'y');
+                });
+
+                const stats = test.stats();
+
+                assert.equal(stats.keysDeps, 1);
+                assert.equal(stats.lengthDeps, 1);
+                assert.equal(stats.idDeps, 2);
+
+                computation.stop();
+                await nextFlush();
+                assert.deepEqual(test.stats(), {
+                    depNodes: 0, valueDeps: 0, existsDeps: 0, keysDeps: 0, lengthDeps: 0, idDeps: 0, eqDeps: 0, paths: 0
+                });
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+    });
+    describe('#push/#splice/#move/#removeWhere', () => {
+        it('should only trigger deps for indices that changed', async (done) => {
+            try {
+                const test = new ReactiveStore({ list: ['a', 'b', 'c'] }),
+                    runs = { 0: 0, 2: 0, length: 0 },
+                    lengths = [];
+
+                Tracker.autorun(() => { test.get('list.0'); runs[0]++; });
+                Tracker.autorun(() => { test.get('list.2'); runs[2]++; });
+                Tracker.autorun(() => { lengths.push(test.length('list')); runs.length++; });
+
+                assert.equal(test.push('list', 'd', 'e'), 5);
+                await nextFlush();
+                assert.deepEqual(runs, { 0: 1, 2: 1, length: 2 });
+
+                assert.deepEqual(test.splice('list', 1, 1), ['b']);
+                await nextFlush();
+                assert.deepEqual(test.get('list'), ['a', 'c', 'd', 'e']);
+                assert.deepEqual(runs, { 0: 1, 2: 2, length: 3 });
+
+                test.removeWhere('list', item => item === 'a');
+                await nextFlush();
+                assert.deepEqual(test.get('list'), ['c', 'd', 'e']);
+                assert.deepEqual(runs, { 0: 2, 2: 3, length: 4 });
+                assert.deepEqual(lengths, [3, 5, 4, 3]);
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+
+        it('should follow items by id, run item mutators, and notify once per operation', async (done) => {
+            try {
+                const test = new ReactiveStore({ todos: [{ _id: 1, title: 'a' }, { _id: 2, title: 'b' }] }, {
+                    'todos.2': todo => ({ done: false, ...todo })
+                });
+
+                const changes = [];
+                let todo, runs = 0;
+
+                test.onChange(records => changes.push(records.length));
+                Tracker.autorun(() => { todo = test.getById('todos', 2); runs++; });
+
+                test.move('todos', 1, 0);
+                await nextFlush();
+                assert.equal(test.get('todos.0.title'), 'b');
+                assert.equal(runs, 1);
+
+                test.assign('todos.0.title', 'B');
+                await nextFlush();
+                assert.deepEqual(todo, { _id: 2, title: 'B' });
+                assert.equal(runs, 2);
+
+                test.push('todos', { _id: 3, title: 'c' });
+                await nextFlush();
+                assert.deepEqual(test.get('todos.2'), { done: false, _id: 3, title: 'c' });
+                assert.equal(runs, 2);
+
+                test.removeWhere('todos', ({ _id }) => _id === 2);
+                await nextFlush();
+                assert.equal(todo, undefined);
+                assert.equal(runs, 3);
+                assert.deepEqual(changes, [1, 1, 1, 1]);
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+
+        it('should keep earlier history entries intact when undoing/redoing array operations', () => {
+            const test = new ReactiveStore({}, null, { history: true });
+
+            test.assign('list', [1, 2]);
+            test.push('list', 3);
+            test.splice('list', 0, 1);
+            assert.deepEqual(test.get('list'), [2, 3]);
+
+            test.undo();
+            assert.deepEqual(test.get('list'), [1, 2, 3]);
+            test.undo();
+            assert.deepEqual(test.get('list'), [1, 2]);
+            test.undo();
+            assert.equal(test.get('list'), undefined);
+
+            test.redo();
+            assert.deepEqual(test.get('list'), [1, 2]);
+            test.redo();
+            assert.deepEqual(test.get('list'), [1, 2, 3]);
+            test.redo();
+            assert.deepEqual(test.get('list'), [2, 3]);
+        });
+    });
+    describe('#keys/#size/#entries', () => {
+        it('should only re-run when keys are added or removed', async (done) => {
+            try {
+                const test = new ReactiveStore({ rows: { a: { price: 1 }, b: { price: 2 } } }),
+                    keys = [];
+
+                let sizeRuns = 0;
+
+                Tracker.autorun(() => keys.push(test.keys('rows')));
+                Tracker.autorun(() => { test.size('rows'); sizeRuns++; });
+
+                test.assign('rows.a.price', 10);
+                test.set({ rows: { a: { price: 10 }, b: { price: 3 } } });
+                await nextFlush();
+                assert.deepEqual(keys, [['a', 'b']]);
+                assert.equal(sizeRuns, 1);
+
+                test.assign('rows.c', { price: 3 });
+                await nextFlush();
+                test.delete('rows.a');
+                await nextFlush();
+                assert.deepEqual(keys, [['a', 'b'], ['a', 'b', 'c'], ['b', 'c']]);
+                assert.equal(sizeRuns, 3);
+                assert.deepEqual(test.entries('rows'), [['b', { price: 3 }], ['c', { price: 3 }]]);
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+    });
+    describe('#getAll', () => {
+        it('should return every matching value and only re-run when a matching value changes', async (done) => {
+            try {
+                const test = new ReactiveStore({ rows: { r1: { price: 1, name: 'a' }, r2: { price: 2, name: 'b' } } }),
+                    results = [];
+
+                Tracker.autorun(() => results.push(test.getAll('rows.*.price')));
+
+                test.assign('rows.r1.name', 'c');
+                await nextFlush();
+                assert.equal(results.length, 1);
+
+                test.assign({ 'rows.r2.price': 3, 'rows.r3': { price: 4 } });
+                await nextFlush();
+                assert.deepEqual(results, [
+                    { 'rows.r1.price': 1, 'rows.r2.price': 2 },
+                    { 'rows.r1.price': 1, 'rows.r2.price': 3, 'rows.r3.price': 4 }
+                ]);
+
+                assert.deepEqual(test.getAll('rows.**'), {
+                    'rows.r1.price': 1, 'rows.r1.name': 'c', 'rows.r2.price': 3, 'rows.r2.name': 'b', 'rows.r3.price': 4
+                });
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+    });
+
+    describe('#updateMutators (patterns)', () => {
+        it('should run wildcard and glob mutators with the matched keys', (done) => {
+            try {
+                const calls = [];
+
+                const test = new ReactiveStore({}, {
+                    'rows.*.price': (value, store, { params }) => {
+                        calls.push(params);
+                        return Math.max(value, 0);
+                    },
+                    'settings.**': (value, store, { params }) => {
+                        calls.push(params);
+                        return value;
+                    },
+                    'rows.r1.price': value => value * 2
+                });
+
+                test.assign({ 'rows.r1.price': 2, 'rows.r42.price': -1, 'settings.theme.color': 'red' });
+                assert.deepEqual(test.get(), { rows: { r1: { price: 4 }, r42: { price: 0 } }, settings: { theme: { color: 'red' } } });
+                assert.deepEqual(calls, [['r42'], ['theme.color']]);
+
+                test.removeMutators('rows.*.price');
+                test.assign('rows.r42.price', -1);
+                assert.equal(test.get('rows.r42.price'), -1);
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+    });
+    describe('immutable option', () => {
+        it('should copy ancestors on write and share everything else', async (done) => {
+            try {
+                const test = new ReactiveStore({ a: { b: 1 }, c: { d: [1, 2] } }, null, { immutable: true }),
+                    snapshot = test.get();
+
+                let runs = 0;
+
+                Tracker.autorun(() => { test.get('c'); runs++; });
+
+                test.assign('a.b', 2);
+                test.push('c.d', 3);
+                await nextFlush();
+
+                assert.deepEqual(snapshot, { a: { b: 1 }, c: { d: [1, 2] } });
+                assert.deepEqual(test.get(), { a: { b: 2 }, c: { d: [1, 2, 3] } });
+                assert.equal(runs, 2);
+                assert.ok(Object.isFrozen(test.get('c.d')));
+                assert.throws(() => { test.get('a').b = 3; });
+
+                // Unchanged subtrees are compared by reference, so setting a value that shares them only triggers what changed
+                const current = test.get();
+
+                test.set({ ...current, a: { b: 3 } });
+                await nextFlush();
+                assert.equal(test.get('c'), current.c);
+                assert.equal(runs, 2);
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+    });
+    describe('#applyPatch/#diff/#onPatch', () => {
+        it('should apply every operation in a single batch and honor mutators', (done) => {
+            try {
+                const test = new ReactiveStore({ list: [1, 2], a: { b: 'x' } }, { 'a.c': value => value.toUpperCase() }),
+                    batches = [];
+
+                test.onChange(records => batches.push(records.length));
+
+                test.applyPatch([
+                    { op: 'add', path: '/list/1', value: 3 },
+                    { op: 'add', path: '/list/-', value: 4 },
+                    { op: 'copy', from: '/a/b', path: '/a/c' },
+                    { op: 'move', from: '/list/0', path: '/first' },
+                    { op: 'replace', path: '/a/b', value: 'y' },
+                    { op: 'test', path: '/list', value: [3, 2, 4] }
+                ]);
+
+                assert.deepEqual(test.get(), { list: [3, 2, 4], a: { b: 'y', c: 'X' }, first: 1 });
+                assert.equal(batches.length, 1);
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+
+        it('should roll back the whole patch if an operation fails', (done) => {
+            try {
+                const test = new ReactiveStore({ a: 1 });
+
+                assert.throws(() => test.applyPatch([
+                    { op: 'replace', path: '/a', value: 2 },
+                    { op: 'test', path: '/a', value: 1 }
+                ]), /Patch test failed/);
+                assert.throws(() => test.applyPatch([{ op: 'remove', path: '/b' }]), /does not exist/);
+                assert.deepEqual(test.get(), { a: 1 });
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+
+        it('should produce patches from diffs and committed changes', (done) => {
+            try {
+                const test = new ReactiveStore({ a: { b: 1, c: 2 }, list: [1, 2, 3], 'x/y': 1 }),
+                    patches = [];
+
+                assert.deepEqual(test.diff({ a: { b: 1, d: 3 }, list: [1, 5], 'x/y': 2 }), [
+                    { op: 'remove', path: '/a/c' },
+                    { op: 'add', path: '/a/d', value: 3 },
+                    { op: 'replace', path: '/list/1', value: 5 },
+                    { op: 'remove', path: '/list/2' },
+                    { op: 'replace', path: '/x~1y', value: 2 }
+                ]);
+
+                test.onPatch(ops => patches.push(ops));
+                test.assign({ 'a.b': 2, 'a.e': 4 });
+                test.push('list', 4);
+                test.delete('a');
+
+                assert.deepEqual(patches, [
+                    [{ op: 'replace', path: '/a/b', value: 2 }, { op: 'add', path: '/a/e', value: 4 }],
+                    [{ op: 'add', path: '/list/3', value: 4 }],
+                    [{ op: 'remove', path: '/a' }]
+                ]);
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+    });
+    describe('#scope', () => {
+        it('should resolve paths relative to the scope and share reactivity with the store', async (done) => {
+            try {
+                const test = new ReactiveStore({ forms: { signup: { email: 'a', name: 'b' } } }),
+                    signup = test.scope('forms.signup'),
+                    emails = [],
+                    records = [];
+
+                assert.equal(test.scope('forms.signup'), signup);
+                assert.equal(signup.get('email'), 'a');
+
+                Tracker.autorun(() => emails.push(signup.get('email')));
+                signup.onChange(changes => records.push(...toTuples(changes)));
+
+                test.assign('forms.signup.email', 'c');
+                await nextFlush();
+                signup.assign({ email: 'd', name: 'e' });
+                await nextFlush();
+
+                assert.deepEqual(emails, ['a', 'c', 'd']);
+                assert.deepEqual(records, [
+                    ['email', 'assign', 'a', 'c'],
+                    ['email', 'assign', 'c', 'd'],
+                    ['name', 'assign', 'b', 'e']
+                ]);
+
+                signup.clear();
+                assert.deepEqual(test.get(), { forms: { signup: {} } });
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+
+        it('should namespace mutators and nested scopes', (done) => {
+            try {
+                const test = new ReactiveStore({}),
+                    form = test.scope('forms').scope('signup');
+
+                form.updateMutators({
+                    email: (value, scope) => {
+                        scope.assign('valid', value.includes('@'));
+                        return value.trim();
+                    }
+                });
+
+                form.assign('email', ' a@b.c ');
+                assert.deepEqual(test.get(), { forms: { signup: { email: 'a@b.c', valid: true } } });
+
+                form.removeMutators('email');
+                form.assign('email', ' x ');
+                assert.equal(test.get('forms.signup.email'), ' x ');
+
+                // Single mutators can be set with the (path, mutator) form (e.g. for token array paths)
+                form.updateMutators('name', value => value.toUpperCase());
+                form.updateMutators(['a.b'], (value, scope) => {
+                    assert.equal(scope, form);
+                    return value * 2;
+                });
+
+                form.assign('name', 'x');
+                form.assign(['a.b'], 2);
+                assert.equal(test.get('forms.signup.name'), 'X');
+                assert.equal(test.get(['forms', 'signup', 'a.b']), 4);
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+    });
+    describe('.addTraversableType', () => {
+        it('should traverse into Maps with deep reactivity', async (done) => {
+            try {
+                const test = new ReactiveStore({ users: new Map([['u1', { name: 'a' }], ['u2', { name: 'b' }]]) }),
+                    names = [],
+                    keys = [];
+
+                Tracker.autorun(() => names.push(test.get('users.u1.name')));
+                Tracker.autorun(() => keys.push(test.keys('users')));
+
+                test.assign('users.u2.name', 'c');
+                test.set({ users: new Map([['u1', { name: 'a' }], ['u2', { name: 'c' }]]) });
+                await nextFlush();
+                assert.deepEqual(names, ['a']);
+
+                test.assign('users.u1.name', 'd');
+                test.delete('users.u2');
+                await nextFlush();
+                assert.deepEqual(names, ['a', 'd']);
+                assert.deepEqual(keys, [['u1', 'u2'], ['u1']]);
+                assert.equal(test.has('users.u2'), false);
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+
+        it('should detect changes to Map entries with non-string keys', async (done) => {
+            try {
+                const test = new ReactiveStore({ m: new Map([[1, 'a'], ['s', 'x']]) }),
+                    records = [];
+
+                let runs = 0;
+
+                test.onChange(changes => records.push(...changes));
+                Tracker.autorun(() => {
+                    test.get('m');
+                    runs++;
+                });
+
+                test.assign('m', new Map([[1, 'a'], ['s', 'x']]));
+                await nextFlush();
+                assert.equal(runs, 1);
+                assert.equal(records.length, 0);
+
+                test.assign('m', new Map([[1, 'b'], ['s', 'x']]));
+                await nextFlush();
+                assert.equal(runs, 2);
+                assert.equal(records.length, 1);
+                assert.ok(!test._isEqual(new Map([[1, 'a']]), new Map([[1, 'b']])));
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+
+        it('should traverse into registered types', async (done) => {
+            class Record {
+                constructor(fields = {}) {
+                    this.fields = fields;
+                }
+            }
+
+            try {
+                ReactiveStore.addTraversableType(Record, {
+                    keys: record => Object.keys(record.fields),
+                    get: (record, key) => record.fields[key],
+                    set: (record, key, value) => { record.fields[key] = value; },
+                    delete: (record, key) => { delete record.fields[key]; },
+                    create: () => new Record()
+                });
+
+                const test = new ReactiveStore({ record: new Record({ a: 1, b: 2 }) }),
+                    values = [];
+
+                Tracker.autorun(() => values.push(test.get('record.a')));
+
+                test.assign('record.b', 3);
+                await nextFlush();
+                test.assign('record.a', 2);
+                await nextFlush();
+
+                assert.deepEqual(values, [1, 2]);
+                assert.equal(test.get().record.fields.b, 3);
+
+                done();
+
+            } catch (error) {
+                done(error);
+            } finally {
+                ReactiveStore.removeTraversableType(Record);
+            }
+        });
+    });
+    describe('path syntax', () => {
+        it('should address keys containing dots with escapes, brackets and token arrays', async (done) => {
+            try {
+                const test = new ReactiveStore({ files: { 'a.b.json': { size: 1 } }, list: [{ name: 'x' }] }, {
+                    'emails.a@b\\.com': value => ((typeof value === 'string') ? value.trim() : value)
+                });
+
+                const sizes = [],
+                    records = [];
+
+                assert.equal(test.get('files["a.b.json"].size'), 1);
+                assert.equal(test.get("files['a.b.json'].size"), 1);
+                assert.equal(test.get('files.a\\.b\\.json.size'), 1);
+                assert.equal(test.get(['files', 'a.b.json', 'size']), 1);
+                assert.equal(test.get('list[0].name'), 'x');
+                assert.throws(() => test.get('files["a.b.json"'), /Invalid path/);
+
+                Tracker.autorun(() => sizes.push(test.get(['files', 'a.b.json', 'size'])));
+                test.onChange(changes => records.push(...toTuples(changes)));
+
+                test.assign('files["a.b.json"].size', 2);
+                test.assign(['emails', 'a@b.com'], ' on ');
+                await nextFlush();
+
+                assert.deepEqual(sizes, [1, 2]);
+                assert.deepEqual(test.get('emails'), { 'a@b.com': 'on' });
+                assert.deepEqual(records, [
+                    ['files.a\\.b\\.json.size', 'assign', 1, 2],
+                    ['emails', 'assign', ReactiveStore.DELETE, { 'a@b.com': 'on' }]
+                ]);
+
+                test.delete(['emails', 'a@b.com']);
+                assert.deepEqual(test.get('emails'), {});
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+    });
+    describe('async mutators', () => {
+        it('should apply resolved values, discard stale results and track pending state', async (done) => {
+            try {
+                const resolvers = [];
+
+                const test = new ReactiveStore({ address: 'a' }, {
+                    address: value => new Promise((resolve) => {
+                        resolvers.push(() => resolve(value.toUpperCase()));
+                    })
+                });
+
+                const pending = [];
+
+                Tracker.autorun(() => pending.push(test.isPending('address')));
+
+                test.assign('address', 'b');
+                test.assign('address', 'c');
+                await nextFlush();
+                assert.equal(test.get('address'), 'a');
+
+                // The first result is stale because it was superseded by the second assignment
+                resolvers[0]();
+                await Promise.resolve();
+                assert.equal(test.get('address'), 'a');
+
+                resolvers[1]();
+                await Promise.resolve();
+                assert.equal(test.get('address'), 'C');
+                await nextFlush();
+                assert.deepEqual(pending, [false, true, false]);
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+
+        it('should surface rejections', async (done) => {
+            try {
+                const test = new ReactiveStore({}, {
+                    address: value => (value ? Promise.reject(new Error('Not found')) : value)
+                });
+
+                test.assign('address', 'x');
+                await Promise.resolve();
+                await Promise.resolve();
+
+                assert.equal(test.error('address').message, 'Not found');
+                assert.equal(test.isPending('address'), false);
+                assert.equal(test.has('address'), false);
+
+                test.assign('address', '');
+                assert.equal(test.error('address'), undefined);
+                assert.equal(test.get('address'), '');
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+
+        it('should store assigned Promises and discard async assignments from rolled back transactions', async (done) => {
+            try {
+                const promise = Promise.resolve('value'),
+                    test = new ReactiveStore({}, {
+                        address: value => Promise.resolve(value.toUpperCase())
+                    });
+
+                test.assign('promise', promise);
+                test.push('promises', promise);
+                assert.equal(test.get('promise'), promise);
+                assert.equal(test.get('promises.0'), promise);
+                assert.equal(test.isPending('promise'), false);
+
+                assert.throws(() => test.transaction(() => {
+                    test.assign('address', 'new');
+                    throw new Error('Rolled back');
+                }), /Rolled back/);
+
+                assert.equal(test.isPending('address'), false);
+                await Promise.resolve();
+                await Promise.resolve();
+                assert.equal(test.has('address'), false);
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+    });
+    describe('#use', () => {
+        it('should run hooks in order around assignments and allow transforming/cancelling', async (done) => {
+            try {
+                const calls = [];
+
+                const test = new ReactiveStore({ name: 'a', locked: true }, {
+                    name: (value) => {
+                        calls.push(`mutate ${value}`);
+                        return value;
+                    }
+                });
+
+                const globalHandle = ReactiveStore.use({
+                    beforeAssign: (value, { path }) => {
+                        calls.push(`global ${path}`);
+                        return (typeof value === 'string') ? value.trim() : value;
+                    }
+                });
+
+                test.use({
+                    beforeAssign: (value, { oldValue }) => {
+                        calls.push(`before ${oldValue} ${value}`);
+                        return value.toUpperCase();
+                    },
+                    afterAssign: (value, { path }) => calls.push(`after ${path} ${value}`),
+                    beforeDelete: (value, { path }) => ((path === 'locked') ? ReactiveStore.CANCEL : value),
+                    afterCommit: records => calls.push(`commit ${records.length}`)
+                });
+
+                test.assign('name', ' b ');
+                test.delete('locked');
+                await nextFlush();
+
+                globalHandle.stop();
+
+                assert.deepEqual(calls, ['global name', 'before a b', 'mutate B', 'after name B', 'commit 1']);
+                assert.equal(test.get('name'), 'B');
+                assert.equal(test.get('locked'), true);
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+
+        it('should run set hooks and assign hooks for array modifiers', async (done) => {
+            try {
+                const test = new ReactiveStore({ list: [] });
+
+                const handle = test.use({
+                    beforeSet: value => ({ ...value, touched: true }),
+                    beforeAssign: value => (value.length > 2 ? ReactiveStore.CANCEL : value)
+                });
+
+                test.push('list', 1, 2);
+                test.push('list', 3);
+                assert.deepEqual(test.get('list'), [1, 2]);
+
+                test.set({ list: [] });
+                assert.deepEqual(test.get(), { list: [], touched: true });
+
+                handle.stop();
+                test.set({});
+                assert.deepEqual(test.get(), {});
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+    });
+    describe('#select', () => {
+        it('should only invalidate dependents when the selected result changes', async (done) => {
+            try {
+                const test = new ReactiveStore({
+                    rows: {
+                        a: { selected: true, label: 'A' },
+                        b: { selected: false, label: 'B' }
+                    }
+                });
+
+                const counts = [],
+                    ids = [];
+
+                Tracker.autorun(() => {
+                    counts.push(test.select(store => Object.values(store.getAll('rows.*.selected')).filter(Boolean).length));
+                });
+                Tracker.autorun(() => {
+                    ids.push(test.select(store => store.keys('rows').filter(id => store.get(`rows.${id}.selected`))));
+                });
+
+                test.assign('rows.b.label', 'C');
+                await nextFlush();
+                assert.deepEqual(counts, [1]);
+
+                test.assign('rows.b.selected', true);
+                await nextFlush();
+                assert.deepEqual(counts, [1, 2]);
+                assert.deepEqual(ids, [['a'], ['a', 'b']]);
+
+                // Deep equal results don't invalidate dependents
+                test.assign('rows.a.selected', 1);
+                await nextFlush();
+                assert.deepEqual(ids, [['a'], ['a', 'b']]);
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+
+        it('should use the given comparator', async (done) => {
+            try {
+                const test = new ReactiveStore({ price: 1.01 }),
+                    prices = [];
+
+                Tracker.autorun(() => {
+                    prices.push(test.select(store => store.get('price'), (oldPrice, newPrice) => Math.round(oldPrice) === Math.round(newPrice)));
+                });
+
+                test.assign('price', 1.2);
+                await nextFlush();
+                test.assign('price', 2);
+                await nextFlush();
+
+                assert.deepEqual(prices, [1.01, 2]);
+                assert.equal(test.select(store => store.get('price') * 2), 4);
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+
+        it('should invalidate dependents when a selected store value is changed in place', async (done) => {
+            try {
+                const test = new ReactiveStore({ list: [1, 2] }),
+                    lengths = [];
+
+                Tracker.autorun(() => lengths.push(test.select(store => store.get('list')).length));
+
+                test.push('list', 3);
+                await nextFlush();
+                test.assign('list.0', 0);
+                await nextFlush();
+                test.splice('list', 0, 1);
+                await nextFlush();
+
+                assert.deepEqual(lengths, [2, 3, 3, 2]);
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+    });
+    describe('#equals (deep values)', () => {
+        it('should deeply compare values and only invalidate when the result flips', async (done) => {
+            try {
+                const test = new ReactiveStore({
+                    filter: { status: 'open', tags: ['a'] },
+                    date: new Date(2020, 0, 1)
+                });
+
+                const filterResults = [],
+                    dateResults = [];
+
+                Tracker.autorun(() => filterResults.push(test.equals('filter', { status: 'open', tags: ['a'] })));
+                Tracker.autorun(() => dateResults.push(test.equals('date', new Date(2020, 0, 1))));
+
+                test.assign('filter.tags', ['a']);
+                test.assign('date', new Date(2020, 0, 1));
+                await nextFlush();
+                assert.deepEqual(filterResults, [true]);
+                assert.deepEqual(dateResults, [true]);
+
+                test.assign('filter.tags.1', 'b');
+                test.assign('date', new Date(2021, 0, 1));
+                await nextFlush();
+                test.assign('filter.status', 'closed');
+                await nextFlush();
+                assert.deepEqual(filterResults, [true, false]);
+                assert.deepEqual(dateResults, [true, false]);
+
+                assert.equal(test.equals({ filter: { status: 'closed', tags: ['a', 'b'] }, date: new Date(2021, 0, 1) }), true);
+                assert.equal(test.stats().eqDeps, 0);
+                assert.throws(() => test.equals('date', new (class Custom {})()));
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+    });
+    describe('#sync', () => {
+        const nextMessage = () => new Promise(resolve => setTimeout(resolve, 0));
+
+        it('should apply changes from other instances without broadcasting them again', async (done) => {
+            try {
+                const transport = ReactiveStore.createMemoryTransport(),
+                    storeA = new ReactiveStore({ prefs: { theme: 'light' }, local: 1 }),
+                    storeB = new ReactiveStore({ prefs: { theme: 'light' }, local: 1 }, {
+                        'prefs.theme': value => value.toUpperCase()
+                    }),
+                    sent = [];
+
+                const send = transport.send.bind(transport);
+                transport.send = (message) => {
+                    sent.push(message);
+                    send(message);
+                };
+
+                storeA.sync({ channel: 'app', paths: ['prefs'], transport });
+                const handleB = storeB.sync({ channel: 'app', paths: ['prefs'], transport });
+
+                storeA.assign({ 'prefs.theme': 'dark', local: 2 });
+                storeA.delete('prefs.missing');
+                await nextMessage();
+
+                // Incoming values aren't mutated again, and unsynced paths are ignored
+                assert.equal(storeB.get('prefs.theme'), 'dark');
+                assert.equal(storeB.get('local'), 1);
+                assert.equal(sent.length, 1);
+
+                storeB.set({ prefs: { theme: 'blue', size: 2 } });
+                await nextMessage();
+                assert.deepEqual(storeA.get(), { prefs: { theme: 'blue', size: 2 }, local: 2 });
+
+                handleB.stop();
+                storeA.assign('prefs.size', 3);
+                await nextMessage();
+                assert.equal(storeB.get('prefs.size'), 2);
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+
+        it('should resolve concurrent writes with last-writer-wins', async (done) => {
+            try {
+                const transport = ReactiveStore.createMemoryTransport(),
+                    storeA = new ReactiveStore({ cart: { items: [] } }),
+                    storeB = new ReactiveStore({ cart: { items: [] } });
+
+                storeA.sync({ channel: 'cart', transport });
+                storeB.sync({ channel: 'cart', transport });
+
+                // Concurrent writes with the same clock are resolved the same way in both instances
+                storeA.assign('cart.coupon', 'A');
+                storeB.assign('cart.coupon', 'B');
+                await nextMessage();
+                assert.equal(storeA.get('cart.coupon'), storeB.get('cart.coupon'));
+
+                // Later writes below a path are kept when an earlier write to the path arrives
+                storeA.assign('cart', { items: ['x'] });
+                storeB.assign('cart.coupon', 'C');
+                storeB.assign('cart.note', 'hi');
+                await nextMessage();
+                assert.deepEqual(storeA.get(), storeB.get());
+                assert.equal(storeA.get('cart.note'), 'hi');
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+
+        it('should keep resolving writes after remembered writes are dropped', async (done) => {
+            try {
+                const transport = ReactiveStore.createMemoryTransport(),
+                    storeA = new ReactiveStore({}),
+                    storeB = new ReactiveStore({}),
+                    storeC = new ReactiveStore({});
+
+                storeA.sync({ channel: 'app', transport, versionLimit: 2 });
+                storeB.sync({ channel: 'app', transport });
+
+                const handleC = storeC.sync({ channel: 'app', transport });
+
+                for (let idx = 0; idx < 5; idx++) {
+                    storeA.assign(`key${idx}`, idx);
+                }
+                await nextMessage();
+
+                for (let idx = 0; idx < 5; idx++) {
+                    storeB.assign(`key${idx}`, -idx);
+                }
+                await nextMessage();
+                assert.deepEqual(storeA.get(), storeB.get());
+
+                // Stopping tells the other instances, which shouldn't apply anything for it
+                handleC.stop();
+                await nextMessage();
+                storeA.assign('key0', 'A');
+                storeB.assign('key0', 'B');
+                await nextMessage();
+
+                assert.deepEqual(storeA.get(), storeB.get());
+                assert.equal(typeof storeC.get('key0'), 'number');
+                assert.equal(Object.keys(storeA.get()).length, 5);
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+    });
+    describe('.setReactivityAdapter', () => {
+        it('should work with the standalone adapter', async (done) => {
+            const previousAdapter = ReactiveStore.getReactivityAdapter(),
+                adapter = ReactiveStore.createStandaloneAdapter();
+
+            try {
+                ReactiveStore.setReactivityAdapter(adapter);
+
+                const test = new ReactiveStore({ a: { b: 1 }, c: 1, list: [1, 2] }),
+                    values = [],
+                    counts = [];
+
+                const computation = adapter.autorun(() => values.push(test.get('a.b')));
+                adapter.autorun(() => counts.push(test.select(store => store.get('list').length)));
+
+                test.assign('c', 2);
+                adapter.flush();
+                test.assign({ 'a.b': 2, 'list.0': 3 });
+                adapter.flush();
+                assert.deepEqual(values, [1, 2]);
+                assert.deepEqual(counts, [2]);
+
+                computation.stop();
+                test.assign('a.b', 3);
+                test.push('list', 4);
+                adapter.flush();
+                assert.deepEqual(values, [1, 2]);
+                assert.deepEqual(counts, [2, 3]);
+
+                // Deps are still cleaned up after flushes
+                assert.equal(test.stats().valueDeps, 1);
+
+                assert.throws(() => ReactiveStore.setReactivityAdapter({ isActive: () => false }));
+
+                done();
+
+            } catch (error) {
+                done(error);
+            } finally {
+                ReactiveStore.setReactivityAdapter(previousAdapter);
+            }
+        });
+    });
+    describe('.createSubscription', () => {
+        it('should only notify listeners when the read value changes', async (done) => {
+            try {
+                const test = new ReactiveStore({ user: { name: 'a', tags: ['x'] }, other: 1 }),
+                    subscription = ReactiveStore.createSubscription(test, store => store.get('user')),
+                    firstSnapshot = subscription.getSnapshot();
+
+                let calls = 0;
+
+                assert.equal(subscription.getSnapshot(), firstSnapshot);
+
+                const unsubscribe = subscription.subscribe(() => calls++);
+
+                test.assign('other', 2);
+                await nextFlush();
+                assert.equal(calls, 0);
+                assert.equal(subscription.getSnapshot(), firstSnapshot);
+
+                // Values that are changed in place still produce a new snapshot
+                test.assign('user.tags.1', 'y');
+                await nextFlush();
+                assert.equal(calls, 1);
+                assert.notEqual(subscription.getSnapshot(), firstSnapshot);
+                assert.deepEqual(subscription.getSnapshot().value, { name: 'a', tags: ['x', 'y'] });
+
+                unsubscribe();
+                test.assign('user.name', 'b');
+                await nextFlush();
+                assert.equal(calls, 1);
+                assert.equal(subscription.getSnapshot().value.name, 'b');
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+
+        it('should use the given comparator', async (done) => {
+            try {
+                const test = new ReactiveStore({ rows: { a: 1, b: 2 } }),
+                    subscription = ReactiveStore.createSubscription(test, store => store.keys('rows').sort(), (oldKeys, newKeys) => oldKeys.join() === newKeys.join()),
+                    snapshots = [];
+
+                subscription.subscribe(() => snapshots.push(subscription.getSnapshot().value));
+
+                test.set({ rows: { b: 3, a: 4 } });
+                await nextFlush();
+                test.assign('rows.c', 5);
+                await nextFlush();
+
+                assert.deepEqual(snapshots, [['a', 'b', 'c']]);
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+    });
+    describe('#bindTemplate', () => {
+        const createElement = (path, props) => ({
+            getAttribute: () => path,
+            closest() {
+                return this;
+            },
+            value: '',
+            ...props
+        });
+
+        const createInstance = (elements) => {
+            const listeners = new Map(),
+                destroyCallbacks = [];
+
+            return {
+                firstNode: {
+                    parentNode: {
+                        addEventListener: (name, listener) => listeners.set(name, listener),
+                        removeEventListener: name => listeners.delete(name)
+                    }
+                },
+                findAll: () => elements,
+                autorun: fn => Tracker.autorun(fn),
+                view: { onViewDestroyed: callback => destroyCallbacks.push(callback) },
+                trigger: (name, target) => listeners.has(name) && listeners.get(name)({ target }),
+                destroy: () => destroyCallbacks.forEach(callback => callback()),
+                listeners
+            };
+        };
+
+        it('should assign coerced element values and write store values back into the elements', async (done) => {
+            try {
+                const test = new ReactiveStore({
+                        form: {
+                            name: 'a',
+                            age: 1,
+                            agree: false,
+                            colors: ['red'],
+                            size: 'm'
+                        }
+                    }),
+                    name = createElement('name'),
+                    age = createElement('age', { type: 'number' }),
+                    agree = createElement('agree', { type: 'checkbox' }),
+                    red = createElement('colors', { type: 'checkbox', value: 'red' }),
+                    blue = createElement('colors', { type: 'checkbox', value: 'blue' }),
+                    small = createElement('size', { type: 'radio', value: 's' }),
+                    medium = createElement('size', { type: 'radio', value: 'm' }),
+                    instance = createInstance([name, age, agree, red, blue, small, medium]);
+
+                test.scope('form').bindTemplate(instance);
+
+                assert.equal(name.value, 'a');
+                assert.equal(age.value, '1');
+                assert.deepEqual([red.checked, blue.checked, small.checked, medium.checked], [true, false, false, true]);
+
+                age.value = '2.5';
+                instance.trigger('input', age);
+                agree.checked = true;
+                instance.trigger('change', agree);
+                blue.checked = true;
+                instance.trigger('change', blue);
+                medium.checked = false;
+                instance.trigger('change', medium);
+                small.checked = true;
+                instance.trigger('change', small);
+
+                assert.deepEqual(test.get('form'), {
+                    name: 'a',
+                    age: 2.5,
+                    agree: true,
+                    colors: ['red', 'blue'],
+                    size: 's'
+                });
+
+                test.assign({ 'form.name': 'b', 'form.colors': [] });
+                await nextFlush();
+                assert.equal(name.value, 'b');
+                assert.deepEqual([red.checked, blue.checked], [false, false]);
+
+                instance.destroy();
+                assert.equal(instance.listeners.size, 0);
+
+                test.assign('form.name', 'c');
+                await nextFlush();
+                assert.equal(name.value, 'b');
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+
+        it('should write store values into elements that are rendered later', async (done) => {
+            const { MutationObserver } = globalThis,
+                observers = [];
+
+            // Fake MutationObserver that lets the test report added nodes
+            globalThis.MutationObserver = class {
+                constructor(callback) {
+                    this.callback = callback;
+                    observers.push(this);
+                }
+
+                observe() {}
+
+                disconnect() {
+                    observers.splice(observers.indexOf(this), 1);
+                }
+            };
+
+            try {
+                const test = new ReactiveStore({ form: { name: 'a', email: 'b@c.d' } }),
+                    name = createElement('name'),
+                    elements = [name],
+                    instance = createInstance(elements);
+
+                test.scope('form').bindTemplate(instance);
+
+                // Render an element inside of an {{#if}} after the template has been rendered
+                const email = createElement('email', { nodeType: 1, matches: () => true });
+
+                elements.push(email);
+                observers.forEach(observer => observer.callback([{ addedNodes: [email] }]));
+                await nextFlush();
+                assert.equal(email.value, 'b@c.d');
+
+                test.assign('form.email', 'e@f.g');
+                await nextFlush();
+                assert.equal(email.value, 'e@f.g');
+
+                instance.destroy();
+                assert.equal(observers.length, 0);
+
+                done();
+
+            } catch (error) {
+                done(error);
+            } finally {
+                globalThis.MutationObserver = MutationObserver;
+            }
+        });
+    });
+    describe('#bindCursor', () => {
+        // Minimal cursor that calls observeChanges callbacks the way Minimongo does
+        const createCursor = (docs) => {
+            const observers = new Set();
+
+            return {
+                observeChanges(callbacks) {
+                    docs.forEach(({ _id, ...fields }) => callbacks.added(_id, fields));
+                    observers.add(callbacks);
+
+                    return { stop: () => observers.delete(callbacks) };
+                },
+                emit: (name, ...params) => observers.forEach(callbacks => callbacks[name](...params)),
+                observers
+            };
+        };
+
+        it('should apply cursor changes as fine-grained assignments', async (done) => {
+            try {
+                const test = new ReactiveStore({ todos: { stale: { _id: 'stale' } } }, {
+                        'todos.*': doc => ((doc === ReactiveStore.DELETE) ? doc : { ...doc, title: doc.title.trim() })
+                    }),
+                    cursor = createCursor([{ _id: 'a', title: ' A ', done: false }, { _id: 'b', title: 'B', done: false }]),
+                    batches = [],
+                    titles = [];
+
+                test.onChange(records => batches.push(records.length));
+
+                const handle = test.bindCursor('todos', cursor);
+
+                Tracker.autorun(() => titles.push(test.get('todos.a.title')));
+
+                assert.deepEqual(test.get('todos'), {
+                    a: { _id: 'a', title: 'A', done: false },
+                    b: { _id: 'b', title: 'B', done: false }
+                });
+                assert.equal(batches.length, 1);
+
+                cursor.emit('changed', 'b', { done: true, title: undefined });
+                cursor.emit('added', 'c', { title: 'C' });
+                cursor.emit('removed', 'a');
+                await nextFlush();
+
+                assert.deepEqual(test.get('todos'), {
+                    b: { _id: 'b', done: true },
+                    c: { _id: 'c', title: 'C' }
+                });
+                assert.deepEqual(titles, ['A', undefined]);
+
+                handle.stop();
+                assert.equal(cursor.observers.size, 0);
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+
+        it('should key documents by the given field', async (done) => {
+            try {
+                const test = new ReactiveStore({}),
+                    cursor = createCursor([{ _id: '1', slug: 'first' }]);
+
+                test.bindCursor(['pages'], cursor, { keyBy: 'slug' });
+                assert.deepEqual(test.get('pages'), { first: { _id: '1', slug: 'first' } });
+
+                cursor.emit('changed', '1', { slug: 'renamed' });
+                cursor.emit('removed', '1');
+                assert.deepEqual(test.get('pages'), {});
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+    });
+    describe('#publish', () => {
+        // In-process stand-in for a Meteor publication and client connection (fields set to undefined are sent as cleared, like DDP does)
+        const createDDP = (userId = null) => {
+            const handlers = new Map(),
+                stores = new Map(),
+                messages = [];
+
+            const connection = {
+                registerStore: (collection, store) => stores.set(collection, store),
+
+                subscribe(name, ...args) {
+                    const callbacks = args.pop(),
+                        stopCallbacks = [];
+
+                    const send = (msg) => {
+                        messages.push(msg);
+                        stores.get(msg.collection).update(msg);
+                    };
+
+                    const publication = {
+                        userId,
+                        added: (collection, id, fields) => send({
+                            msg: 'added',
+                            collection,
+                            id,
+                            fields
+                        }),
+
+                        changed(collection, id, fields) {
+                            const set = {},
+                                cleared = [];
+
+                            Object.entries(fields).forEach(([key, value]) => {
+                                if (value === undefined) cleared.push(key);
+                                else set[key] = value;
+                            });
+
+                            send({
+                                msg: 'changed',
+                                collection,
+                                id,
+                                fields: set,
+                                cleared
+                            });
+                        },
+
+                        removed: (collection, id) => send({ msg: 'removed', collection, id }),
+                        ready: () => callbacks.onReady && callbacks.onReady(),
+                        onStop: callback => stopCallbacks.push(callback)
+                    };
+
+                    handlers.get(name).apply(publication, args);
+
+                    return {
+                        stop() {
+                            stopCallbacks.forEach(callback => callback());
+                            callbacks.onStop();
+                        }
+                    };
+                }
+            };
+
+            return { handlers, connection, messages };
+        };
+
+        it('should mirror published paths and only send the values that changed', async (done) => {
+            try {
+                const server = new ReactiveStore({ presence: { u1: { name: 'A', tags: ['x'] } }, secret: 1 }),
+                    ddp = createDDP();
+
+                let ready = false;
+
+                ddp.handlers.set('state', server.publish('state', { paths: ['presence'] }));
+
+                const client = ReactiveStore.subscribe('state', { connection: ddp.connection, onReady: () => { ready = true; } });
+
+                assert.ok(ready);
+                assert.deepEqual(client.get(), { presence: { u1: { name: 'A', tags: ['x'] } } });
+                assert.deepEqual(ddp.messages[0].fields, {
+                    value: { $rs: 'object' },
+                    'value/u1': { $rs: 'object' },
+                    'value/u1/name': 'A',
+                    'value/u1/tags': { $rs: 'array' },
+                    'value/u1/tags/0': 'x'
+                });
+
+                ddp.messages.length = 0;
+
+                server.transaction(() => {
+                    server.assign('presence.u1.name', 'B');
+                    server.assign('presence.u2', { name: 'C' });
+                    server.assign('secret', 2);
+                });
+                await nextFlush();
+
+                assert.equal(ddp.messages.length, 1);
+                assert.deepEqual(ddp.messages[0].fields, {
+                    'value/u1/name': 'B',
+                    'value/u2': { $rs: 'object' },
+                    'value/u2/name': 'C'
+                });
+                assert.deepEqual(client.get(), { presence: { u1: { name: 'B', tags: ['x'] }, u2: { name: 'C' } } });
+
+                server.delete('presence.u1.tags');
+                await nextFlush();
+
+                assert.deepEqual(ddp.messages[1].cleared.sort(), ['value/u1/tags', 'value/u1/tags/0']);
+                assert.deepEqual(client.get(), { presence: { u1: { name: 'B' }, u2: { name: 'C' } } });
+
+                // Mirrors can only be changed by the publication
+                assert.throws(() => client.assign('presence.u1.name', 'D'), /read-only/);
+
+                server.delete('presence');
+                await nextFlush();
+
+                assert.equal(ddp.messages[2].msg, 'removed');
+                assert.deepEqual(client.get(), {});
+
+                client.subscription.stop();
+                server.set({ presence: { u3: { name: 'E' } } });
+                await nextFlush();
+
+                assert.equal(ddp.messages.length, 3);
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+
+        it('should shorten mirrored arrays that shrink', async (done) => {
+            try {
+                const server = new ReactiveStore({ list: [1, 2, 3, 4] }),
+                    ddp = createDDP();
+
+                ddp.handlers.set('list', server.publish('list'));
+
+                const client = ReactiveStore.subscribe('list', { connection: ddp.connection });
+
+                server.splice('list', 0, 1);
+                await nextFlush();
+
+                assert.deepEqual(client.get('list'), [2, 3, 4]);
+                assert.equal(client.get('list').length, 3);
+
+                server.transaction(() => {
+                    server.push('list', 5);
+                    server.splice('list', 0, 3);
+                });
+                await nextFlush();
+
+                assert.deepEqual(client.get('list'), [5]);
+                assert.equal(client.get('list').length, 1);
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+
+        it('should only publish the paths that the filter allows', async (done) => {
+            try {
+                const server = new ReactiveStore({ public: { a: 1 }, admin: { b: 2 } }),
+                    filter = userId => (userId === 'admin' || ['public']),
+                    handler = server.publish('filtered', { paths: ['public', 'admin'], filter });
+
+                const subscribe = (userId) => {
+                    const ddp = createDDP(userId);
+
+                    ddp.handlers.set('filtered', handler);
+                    return ReactiveStore.subscribe('filtered', { connection: ddp.connection });
+                };
+
+                assert.deepEqual(subscribe('admin').get(), { public: { a: 1 }, admin: { b: 2 } });
+                assert.deepEqual(subscribe('user').get(), { public: { a: 1 } });
+
+                const noneDDP = createDDP();
+
+                noneDDP.handlers.set('filtered', server.publish('none', { filter: () => false }));
+                assert.deepEqual(ReactiveStore.subscribe('filtered', { connection: noneDDP.connection }).get(), {});
+                assert.equal(noneDDP.messages.length, 0);
+
+                done();
+
+            } catch (error) {
+                done(error);
+            }
+        });
+    });
 });
@@ -0,0 +1,257 @@
+/**
+ * @typedef ReactivityAdapter - Object that provides the reactive primitives used by ReactiveStore.
+ * @type {Object}
+ * @property {Function} isActive - Returns true if there is a current computation that dependencies should be registered for.
+ * @property {Function} createDependency - Returns a new dependency with depend, changed and hasDependents functions.
+ * @property {Function} currentComputation - Returns the current computation (with firstRun, invalidated, invalidate, stop and onInvalidate).
+ * @property {Function} nonreactive - Runs the given function without a current computation and returns its result.
+ * @property {Function} autorun - Runs the given function in a new computation (and again every time it is invalidated), and returns the computation.
+ * @property {Function} afterFlush - Schedules the given function to run once every invalidated computation has rerun.
+ */
+
+const adapterFunctionNames = ['isActive', 'createDependency', 'currentComputation', 'nonreactive', 'autorun', 'afterFlush'];
+
+let currentAdapter = null;
+
+/**
+ * Create a reactivity adapter that uses Meteor's Tracker.
+ * @param {Object} Tracker - Tracker object (from 'meteor/tracker').
+ * @returns {ReactivityAdapter}
+ */
+export function createTrackerAdapter(Tracker) {
+    return {
+        isActive: () => Tracker.active,
+        createDependency: () => new Tracker.Dependency(),
+        currentComputation: () => Tracker.currentComputation,
+        nonreactive: fn => Tracker.nonreactive(fn),
+        autorun: fn => Tracker.autorun(fn),
+        afterFlush: fn => Tracker.afterFlush(fn)
+    };
+}
+
+// Minimal version of Tracker.Computation for the standalone adapter
+class Computation {
+    constructor(fn, context) {
+        this.firstRun = true;
+        this.invalidated = false;
+        this.stopped = false;
+        this._fn = fn;
+        this._context = context;
+        this._onInvalidateCallbacks = [];
+    }
+
+    onInvalidate(callback) {
+        if (this.invalidated) {
+            this._context.nonreactive(() => callback(this));
+        } else {
+            this._onInvalidateCallbacks.push(callback);
+        }
+    }
+
+    invalidate() {
+        if (this.invalidated) return;
+
+        this.invalidated = true;
+
+        if (!this.stopped) {
+            this._context.queue(this);
+        }
+
+        const callbacks = this._onInvalidateCallbacks;
+
+        this._onInvalidateCallbacks = [];
+        callbacks.forEach(callback => this._context.nonreactive(() => callback(this)));
+    }
+
+    stop() {
+        if (this.stopped) return;
+
+        this.stopped = true;
+        this.invalidate();
+    }
+
+    _run() {
+        const { _context } = this,
+            previous = _context.current;
+
+        _context.current = this;
+
+        try {
+            this._fn(this);
+        } finally {
+            _context.current = previous;
+            this.firstRun = false;
+        }
+    }
+
+    _recompute() {
+        if (!this.invalidated || this.stopped) return;
+
+        this.invalidated = false;
+
+        try {
+            this._run();
+        } catch (error) {
+            console.error('ReactiveStore: Exception from recompute function:', error);
+        }
+    }
+}
+
+// Minimal version of Tracker.Dependency for the standalone adapter
+class Dependency {
+    constructor(context) {
+        this._context = context;
+        this._dependents = new Set();
+    }
+
+    depend() {
+        const computation = this._context.current;
+
+        if (!computation || this._dependents.has(computation)) return false;
+
+        this._dependents.add(computation);
+        computation.onInvalidate(() => this._dependents.delete(computation));
+
+        return true;
+    }
+
+    changed() {
+        for (const computation of Array.from(this._dependents)) {
+            computation.invalidate();
+        }
+    }
+
+    hasDependents() {
+        return this._dependents.size > 0;
+    }
+}
+
+/**
+ * Create a standalone reactivity adapter (a minimal Tracker implementation that doesn't depend on Meteor).
+ * Invalidated computations are rerun in a microtask, or right away when flush is called.
+ * @returns {ReactivityAdapter} Adapter with an additional flush function.
+ */
+export function createStandaloneAdapter() {
+    const pendingComputations = [],
+        afterFlushCallbacks = [];
+
+    let flushScheduled = false,
+        flushing = false;
+
+    // Rerun invalidated computations until there are none left, then run one afterFlush callback at a time (rerunning any computations it invalidates)
+    const flush = () => {
+        if (flushing) return;
+
+        flushing = true;
+        flushScheduled = false;
+
+        try {
+            while (pendingComputations.length || afterFlushCallbacks.length) {
+                while (pendingComputations.length) {
+                    pendingComputations.shift()._recompute();
+                }
+
+                if (afterFlushCallbacks.length) {
+                    afterFlushCallbacks.shift()();
+                }
+            }
+        } finally {
+            flushing = false;
+        }
+    };
+
+    const scheduleFlush = () => {
+        if (!flushScheduled && !flushing) {
+            flushScheduled = true;
+            Promise.resolve().then(flush);
+        }
+    };
+
+    const context = {
+        current: null,
+
+        nonreactive(fn) {
+            const previous = context.current;
+
+            context.current = null;
+
+            try {
+                return fn();
+            } finally {
+                context.current = previous;
+            }
+        },
+
+        queue(computation) {
+            pendingComputations.push(computation);
+            scheduleFlush();
+        }
+    };
+
+    return {
+        isActive: () => Boolean(context.current),
+        createDependency: () => new Dependency(context),
+        currentComputation: () => context.current,
+        nonreactive: context.nonreactive,
+
+        autorun(fn) {
+            const parent = context.current,
+                computation = new Computation(fn, context);
+
+            // Computations created inside of other computations are stopped when their parents rerun (like in Tracker)
+            if (parent) {
+                parent.onInvalidate(() => computation.stop());
+            }
+
+            try {
+                computation._run();
+            } catch (error) {
+                computation.stop();
+                throw error;
+            }
+
+            return computation;
+        },
+
+        afterFlush(fn) {
+            afterFlushCallbacks.push(fn);
+            scheduleFlush();
+        },
+
+        flush
+    };
+}
+
+/**
+ * Set the reactivity adapter used by every store.
+ * @param {ReactivityAdapter} adapter
+ */
+export function setReactivityAdapter(adapter) {
+    if (!adapter || !adapterFunctionNames.every(name => adapter[name] instanceof Function)) {
+        throw new Error(`ReactiveStore: A reactivity adapter must be an Object with ${adapterFunctionNames.join('/')} functions.`);
+    }
+
+    currentAdapter = adapter;
+}
+
+/**
+ * Get the reactivity adapter used by every store (a standalone adapter is created if one hasn't been set).
+ * @returns {ReactivityAdapter}
+ */
+export function getReactivityAdapter() {
+    if (!currentAdapter) {
+        currentAdapter = createStandaloneAdapter();
+    }
+
+    return currentAdapter;
+}
+
+// Facade that forwards every call to the current adapter
+export const Reactivity = {
+    isActive: () => getReactivityAdapter().isActive(),
+    createDependency: () => getReactivityAdapter().createDependency(),
+    currentComputation: () => getReactivityAdapter().currentComputation(),
+    nonreactive: fn => getReactivityAdapter().nonreactive(fn),
+    autorun: fn => getReactivityAdapter().autorun(fn),
+    afterFlush: fn => getReactivityAdapter().afterFlush(fn)
+};
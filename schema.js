@@ -0,0 +1,121 @@
+import { isObject } from './helpers.js';
+
+// Map of primitive wrapper constructors -> typeof results for the values they represent
+const primitiveTypes = new Map([
+    [String, 'string'],
+    [Number, 'number'],
+    [Boolean, 'boolean'],
+    [Symbol, 'symbol'],
+    [Function, 'function']
+]);
+
+/**
+ * Flatten a path -> rule schema into a list of path/rule pairs, expanding 'items' rules into wildcard rules for each array index.
+ * @param {Object.<string, Object>} schema - Map of path patterns -> rules.
+ * @returns {Object[]} Array of { path, rule } objects.
+ */
+export function compileSchema(schema) {
+    const rules = [];
+
+    for (const [path, rule] of Object.entries(schema)) {
+        if (!isObject(rule)) {
+            throw new Error(`ReactiveStore: Schema rule for path '${path}' must be an Object.`);
+        }
+
+        rules.push({ path, rule });
+
+        if (rule.items) {
+            rules.push(...compileSchema({ [`${path}.*`]: rule.items }));
+        }
+    }
+
+    return rules;
+}
+
+/**
+ * Check if value is of the given type.
+ * @param {Function|null} type - Constructor (or null) to check against.
+ * @param {any} value - Value to check.
+ * @returns {boolean}
+ */
+function matchesType(type, value) {
+    if (type === null) {
+        return (value === null);
+    } else if (primitiveTypes.has(type)) {
+        const valueType = typeof value;
+        return (valueType === primitiveTypes.get(type)) || (value instanceof type);
+    } else if (type === Object) {
+        return isObject(value);
+    } else if (type === Array) {
+        return Array.isArray(value);
+    }
+
+    return (value instanceof type);
+}
+
+/**
+ * Get a readable name for a type.
+ * @param {Function|null} type
+ * @returns {string}
+ */
+function typeName(type) {
+    return (type === null) ? 'null' : type.name;
+}
+
+/**
+ * Check value against a single schema rule.
+ * @param {Object} rule - Schema rule.
+ * @param {any} value - Value to check.
+ * @param {boolean} exists - Whether or not the value exists in its parent.
+ * @param {ReactiveStore} store - Store the value is being validated for.
+ * @returns {string[]} Error messages (empty if value is valid).
+ */
+export function checkRule(rule, value, exists, store) {
+    if (!exists) {
+        return rule.required ? ['Value is required'] : [];
+    }
+
+    const errors = [];
+
+    if (rule.type !== undefined) {
+        const types = Array.isArray(rule.type) ? rule.type : [rule.type];
+
+        if (!types.some(type => matchesType(type, value))) {
+            errors.push(`Value must be of type ${types.map(typeName).join(' or ')}`);
+        }
+    }
+
+    if (Array.isArray(rule.enum) && !rule.enum.includes(value)) {
+        errors.push(`Value must be one of [${rule.enum.map(String).join(', ')}]`);
+    }
+
+    if (rule.min !== undefined || rule.max !== undefined) {
+        // Strings and arrays are checked by length, numbers by value
+        const hasLength = (typeof value === 'string' || Array.isArray(value)),
+            measure = hasLength ? value.length : value,
+            label = hasLength ? 'Length' : 'Value';
+
+        if (typeof measure === 'number') {
+            if (rule.min !== undefined && measure < rule.min) {
+                errors.push(`${label} must be at least ${rule.min}`);
+            }
+
+            if (rule.max !== undefined && measure > rule.max) {
+                errors.push(`${label} must be at most ${rule.max}`);
+            }
+        }
+    }
+
+    if (rule.validate instanceof Function) {
+        // Custom validators can return false or an error message string to fail
+        const result = rule.validate(value, store);
+
+        if (result === false) {
+            errors.push('Value is invalid');
+        } else if (typeof result === 'string') {
+            errors.push(result);
+        }
+    }
+
+    return errors;
+}
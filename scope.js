@@ -0,0 +1,229 @@
+import { isObject } from './helpers.js';
+import { bindTemplate } from './blaze.js';
+
+/**
+ * View of a ReactiveStore that resolves every path relative to a prefix path.
+ * Scopes don't hold any data or dependencies of their own, so all reactivity goes through the parent store's dep-node tree.
+ */
+export default class StoreScope {
+    /**
+     * @param {ReactiveStore} store - Parent store.
+     * @param {path} path - Prefix path of the scope.
+     */
+    constructor(store, path) {
+        const pathData = store._getPathData(path);
+
+        this.store = store;
+        this.path = pathData.path;
+        this.tokens = pathData.tokens;
+    }
+
+    /**
+     * Resolve a path that is relative to the scope into a path of the parent store.
+     * @param {path} [path] - Relative path (the scope's own path if not provided).
+     * @returns {path} Full path.
+     */
+    _resolve(path = this.store.constructor.ROOT) {
+        if (path === this.store.constructor.ROOT) return this.path;
+
+        // NOTE: this.path is in canonical form, so relative path strings can simply be appended to it
+        return Array.isArray(path) ? [...this.tokens, ...path] : `${this.path}.${path}`;
+    }
+
+    /**
+     * Make a full path from the parent store relative to the scope.
+     * @param {path} path - Full path in canonical form (at or below the scope's path).
+     * @returns {path} Relative path.
+     */
+    _relative(path) {
+        return (path === this.path) ? this.store.constructor.ROOT : path.slice(this.path.length + 1);
+    }
+
+    get(path) {
+        return this.store.get(this._resolve(path));
+    }
+
+    getAll(pattern) {
+        const pathValueMap = {};
+
+        for (const [path, value] of Object.entries(this.store.getAll(this._resolve(pattern)))) {
+            pathValueMap[this._relative(path)] = value;
+        }
+
+        return pathValueMap;
+    }
+
+    select(selector, isEqual) {
+        return this.store.select(() => selector(this), isEqual);
+    }
+
+    has(path) {
+        return this.store.has(this._resolve(path));
+    }
+
+    keys(path) {
+        return this.store.keys(this._resolve(path));
+    }
+
+    size(path) {
+        return this.store.size(this._resolve(path));
+    }
+
+    entries(path) {
+        return this.store.entries(this._resolve(path));
+    }
+
+    length(path) {
+        return this.store.length(this._resolve(path));
+    }
+
+    getById(path, id) {
+        return this.store.getById(this._resolve(path), id);
+    }
+
+    equals(...params) {
+        return (params.length < 2)
+            ? this.store.equals(this._resolve(), params[0])
+            : this.store.equals(this._resolve(params[0]), params[1]);
+    }
+
+    errors(path) {
+        if (path !== undefined) {
+            return this.store.errors(this._resolve(path));
+        }
+
+        // Only include errors at or below the scope's path
+        const errorMap = {};
+
+        for (const [errorPath, messages] of Object.entries(this.store.errors())) {
+            if (errorPath === this.path || errorPath.startsWith(`${this.path}.`)) {
+                errorMap[this._relative(errorPath)] = messages;
+            }
+        }
+
+        return errorMap;
+    }
+
+    set(value) {
+        this.store.assign(this.path, value);
+    }
+
+    assign(...params) {
+        if (params.length >= 2) {
+            this.store.assign(this._resolve(params[0]), params[1]);
+        } else if (isObject(params[0])) {
+            const pathValueMap = {};
+
+            for (const [path, value] of Object.entries(params[0])) {
+                pathValueMap[this._resolve(path)] = value;
+            }
+
+            this.store.assign(pathValueMap);
+        }
+    }
+
+    delete(...paths) {
+        this.store.delete(...paths.map(path => this._resolve(path)));
+    }
+
+    push(path, ...items) {
+        return this.store.push(this._resolve(path), ...items);
+    }
+
+    splice(path, ...params) {
+        return this.store.splice(this._resolve(path), ...params);
+    }
+
+    move(path, from, to) {
+        this.store.move(this._resolve(path), from, to);
+    }
+
+    removeWhere(path, predicate) {
+        return this.store.removeWhere(this._resolve(path), predicate);
+    }
+
+    // Reset the scope's value based on its current type (see ReactiveStore.prototype.clear)
+    clear() {
+        const value = this._peek();
+
+        this.set(this.store.constructor.isTraversable(value) ? new value.constructor() : undefined);
+    }
+
+    // Get the current value at the scope's path without registering any dependencies
+    _peek() {
+        return this.tokens.reduce((current, token) => {
+            const value = this.store.constructor._valueAtKey(current, token);
+            return (value === this.store.constructor.DELETE) ? undefined : value;
+        }, this.store.data);
+    }
+
+    abstract(path) {
+        return this.store.abstract(this._resolve(path));
+    }
+
+    scope(path) {
+        return this.store.scope(this._resolve(path));
+    }
+
+    // Mutators are registered under the scope's path and are called with the scope instead of the store
+    updateMutators(...params) {
+        const mutatorEntries = (params.length >= 2)
+            ? [[params[0], params[1]]]
+            : (isObject(params[0]) && Object.entries(params[0])) || [];
+
+        // NOTE: Each mutator is registered with the (path, mutator) form since resolved token array paths can't be Object keys
+        for (const [path, mutator] of mutatorEntries) {
+            if (mutator instanceof Function) {
+                this.store.updateMutators(this._resolve(path), (value, store, info) => mutator(value, this, info));
+            }
+        }
+    }
+
+    removeMutators(...paths) {
+        this.store.removeMutators(...paths.map(path => this._resolve(path)));
+    }
+
+    noMutation(op) {
+        this.store.noMutation(op);
+    }
+
+    transaction(fn) {
+        return this.store.transaction(() => fn(this));
+    }
+
+    defineComputed(path, compute, set) {
+        this.store.defineComputed(
+            this._resolve(path),
+            () => compute(this),
+            (set instanceof Function) ? (value => set(value, this)) : undefined
+        );
+    }
+
+    removeComputed(...paths) {
+        this.store.removeComputed(...paths.map(path => this._resolve(path)));
+    }
+
+    // Element paths are resolved relative to the scope
+    bindTemplate(instance, options) {
+        return bindTemplate(this, instance, options);
+    }
+
+    bindCursor(path, cursor, options) {
+        return this.store.bindCursor(this._resolve(path), cursor, options);
+    }
+
+    // Change records are passed to the listener with paths relative to the scope
+    observe(pattern, listener) {
+        if (!(listener instanceof Function)) {
+            throw new Error('ReactiveStore: You must provide a listener function to observe changes.');
+        }
+
+        return this.store.observe(this._resolve(pattern), (records) => {
+            listener(records.map(record => ({ ...record, path: this._relative(record.path) })), this);
+        });
+    }
+
+    onChange(listener) {
+        return this.observe(undefined, listener);
+    }
+}
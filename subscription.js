@@ -0,0 +1,65 @@
+import { Reactivity } from './reactivity.js';
+import StoreScope from './scope.js';
+
+/**
+ * Create a subscription to a value read from the store, for UI layers that subscribe to external stores (e.g. React's useSyncExternalStore).
+ * The read function is run in its own computation while the subscription has listeners, so it only reruns when the store values that it reads change.
+ * Snapshots are wrapped in a new { value } box whenever the value changes, so that changes are detected even if the value is an Object that was changed in place.
+ * @param {ReactiveStore|StoreScope} store - Store (or scope) to read from.
+ * @param {Function} read - Function that reads the value from the store.
+ * @param {Function} [isEqual] - Function that takes (oldValue, newValue) and returns true if they are equal. If not provided, every rerun of read is treated as a change (the store only invalidates it when the values it read have changed).
+ * @returns {Object} Subscription with subscribe(listener) (returns an unsubscribe function) and getSnapshot() functions.
+ */
+export default function createSubscription(store, read, isEqual) {
+    if (!(read instanceof Function)) {
+        throw new Error('ReactiveStore: You must provide a read function to create a subscription.');
+    }
+
+    const listeners = new Set(),
+        rootStore = (store instanceof StoreScope) ? store.store : store;
+
+    let snapshot = null,
+        computation = null;
+
+    // Replace the snapshot if the value has changed and return true if it did
+    const update = (value, force) => {
+        if (snapshot && !force && (isEqual ? isEqual(snapshot.value, value) : rootStore._isEqual(snapshot.value, value))) return false;
+
+        snapshot = { value };
+        return true;
+    };
+
+    return {
+        subscribe(listener) {
+            listeners.add(listener);
+
+            if (!computation) {
+                computation = Reactivity.nonreactive(() => Reactivity.autorun((runComputation) => {
+                    const changed = update(read(store), !runComputation.firstRun && !isEqual);
+
+                    if (changed && !runComputation.firstRun) {
+                        Array.from(listeners).forEach(callback => callback());
+                    }
+                }));
+            }
+
+            return () => {
+                listeners.delete(listener);
+
+                if (!listeners.size && computation) {
+                    computation.stop();
+                    computation = null;
+                }
+            };
+        },
+
+        getSnapshot() {
+            // The snapshot is kept up to date by the computation while there are listeners
+            if (!computation) {
+                update(Reactivity.nonreactive(() => read(store)), false);
+            }
+
+            return snapshot;
+        }
+    };
+}
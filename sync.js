@@ -0,0 +1,279 @@
+import { jsonSerializer } from './persistence.js';
+
+/**
+ * Create a transport that delivers messages to every other transport listener in the same JS context. Useful for tests.
+ * Messages are delivered asynchronously (like they would be by BroadcastChannel/storage events).
+ * @returns {Object} Sync transport.
+ */
+export function createMemoryTransport() {
+    const listeners = new Set();
+
+    return {
+        send(message) {
+            for (const listener of Array.from(listeners)) {
+                Promise.resolve().then(() => {
+                    if (listeners.has(listener)) listener(message);
+                });
+            }
+        },
+
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        }
+    };
+}
+
+/**
+ * Create a transport that sends messages to other windows/tabs/workers of the same origin using a BroadcastChannel.
+ * @param {string} channel - Channel name.
+ * @returns {Object} Sync transport.
+ */
+export function createBroadcastChannelTransport(channel) {
+    const broadcastChannel = new BroadcastChannel(channel);
+
+    return {
+        send: message => broadcastChannel.postMessage(message),
+
+        subscribe(listener) {
+            const onMessage = event => listener(event.data);
+
+            broadcastChannel.addEventListener('message', onMessage);
+            return () => broadcastChannel.removeEventListener('message', onMessage);
+        },
+
+        close: () => broadcastChannel.close()
+    };
+}
+
+/**
+ * Create a transport that sends messages to other windows/tabs of the same origin by writing them to storage (which fires 'storage' events in the others).
+ * @param {string} channel - Channel name.
+ * @param {Object} [storage=localStorage] - Storage to write messages to.
+ * @returns {Object} Sync transport.
+ */
+export function createStorageTransport(channel, storage = (typeof localStorage !== 'undefined') ? localStorage : undefined) {
+    const key = `reactive-store-sync:${channel}`;
+
+    return {
+        send: message => storage.setItem(key, message),
+
+        subscribe(listener) {
+            const onStorage = (event) => {
+                if (event.key === key && event.newValue !== null) {
+                    listener(event.newValue);
+                }
+            };
+
+            window.addEventListener('storage', onStorage);
+            return () => window.removeEventListener('storage', onStorage);
+        }
+    };
+}
+
+// Returns true if stamp A was written after stamp B (ties between equal clocks are broken by instance id so that every instance agrees)
+function isLater(stampA, stampB) {
+    return (stampA.clock > stampB.clock) || (stampA.clock === stampB.clock && stampA.id > stampB.id);
+}
+
+// Returns true if tokens start with all of prefixTokens
+function startsWith(tokens, prefixTokens) {
+    return prefixTokens.length <= tokens.length && prefixTokens.every((token, idx) => tokens[idx] === token);
+}
+
+/**
+ * Broadcast each batch of committed changes to other instances over the transport, and apply the changes they broadcast.
+ * Concurrent writes are resolved with last-writer-wins based on a Lamport clock (ties are broken by instance id).
+ * @param {ReactiveStore} store - Store to sync.
+ * @param {Object} options - See ReactiveStore.prototype.sync.
+ * @returns {Object} Sync handle.
+ */
+export function syncStore(store, {
+    channel,
+    paths,
+    transport,
+    serializer = jsonSerializer,
+    versionLimit = 1000
+}) {
+    const { ROOT, DELETE, _valueAtKey } = store.constructor;
+
+    if (typeof channel !== 'string' || !channel) {
+        throw new Error('ReactiveStore: You must provide a channel name to sync the store.');
+    }
+
+    const ownTransport = !transport;
+
+    if (ownTransport) {
+        if (typeof BroadcastChannel !== 'undefined') {
+            transport = createBroadcastChannelTransport(channel);
+        } else if (typeof window !== 'undefined' && typeof localStorage !== 'undefined') {
+            transport = createStorageTransport(channel);
+        }
+    }
+
+    if (!transport || !(transport.send instanceof Function) || !(transport.subscribe instanceof Function)) {
+        throw new Error('ReactiveStore: You must provide a transport with send and subscribe functions to sync the store.');
+    }
+
+    const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`,
+        pathTokens = paths && paths.map(path => store._getPathData(path).tokens),
+        // Serialized path tokens -> { tokens, stamp } of the last write to each path (writes below a path are removed when it is written)
+        versions = new Map(),
+        // Instance id -> clock of the last message received from each instance that is still syncing
+        peerClocks = new Map();
+
+    let clock = 0,
+        applying = false;
+
+    // Narrow a change down to the synced paths (changes above a synced path are split into a change for each synced path below them)
+    const narrow = (tokens, value) => {
+        if (!pathTokens || pathTokens.some(syncedTokens => startsWith(tokens, syncedTokens))) {
+            return [[tokens, value]];
+        }
+
+        return pathTokens
+            .filter(syncedTokens => startsWith(syncedTokens, tokens))
+            .map(syncedTokens => [
+                syncedTokens,
+                syncedTokens.slice(tokens.length).reduce((current, token) => _valueAtKey(current, token), value)
+            ]);
+    };
+
+    const recordWrite = (tokens, stamp) => {
+        for (const [key, version] of versions) {
+            if (startsWith(version.tokens, tokens) && !isLater(version.stamp, stamp)) {
+                versions.delete(key);
+            }
+        }
+
+        versions.set(JSON.stringify(tokens), { tokens, stamp });
+
+        // Drop the oldest writes if there are too many (e.g. because an instance stopped without saying so)
+        while (versions.size > versionLimit) {
+            versions.delete(versions.keys().next().value);
+        }
+    };
+
+    // Drop writes that every other instance has moved past, since any changes they send from now on are later than those writes
+    const prune = () => {
+        if (!peerClocks.size) return;
+
+        const minClock = Math.min(...peerClocks.values());
+
+        for (const [key, version] of versions) {
+            if (version.stamp.clock < minClock) {
+                versions.delete(key);
+            }
+        }
+    };
+
+    const write = ([tokens, value]) => {
+        if (tokens.length) {
+            store.assign(tokens, value);
+        } else {
+            store.set((value === DELETE) ? undefined : value);
+        }
+    };
+
+    const listener = store.onChange((records) => {
+        if (applying) return;
+
+        const changes = [];
+
+        for (const { path, newValue } of records) {
+            changes.push(...narrow((path === ROOT) ? [] : store._getPathData(path).tokens, newValue));
+        }
+
+        if (!changes.length) return;
+
+        clock++;
+
+        const stamp = { clock, id };
+
+        changes.forEach(([tokens]) => recordWrite(tokens, stamp));
+
+        transport.send(serializer.serialize({
+            channel,
+            id,
+            clock,
+            // NOTE: DELETE can't be serialized, so deletions are flagged instead
+            changes: changes.map(([tokens, value]) => ((value === DELETE) ? { tokens, deleted: true } : { tokens, value }))
+        }));
+    });
+
+    const receive = (message) => {
+        const {
+            channel: messageChannel,
+            id: senderId,
+            clock: senderClock,
+            changes,
+            stopped
+        } = serializer.deserialize(message);
+
+        if (messageChannel !== channel || senderId === id) return;
+
+        // Instances that stopped syncing no longer hold back pruning
+        if (stopped) {
+            peerClocks.delete(senderId);
+            prune();
+            return;
+        }
+
+        peerClocks.set(senderId, senderClock);
+
+        clock = Math.max(clock, senderClock) + 1;
+
+        const stamp = { clock: senderClock, id: senderId },
+            writes = [];
+
+        for (const change of changes) {
+            for (const [tokens, value] of narrow(change.tokens, change.deleted ? DELETE : change.value)) {
+                const versionList = Array.from(versions.values());
+
+                // Skip the change if the path (or a path above it) was written later
+                if (!versionList.some(version => startsWith(tokens, version.tokens) && !isLater(stamp, version.stamp))) {
+                    // Paths below it that were written later keep their values
+                    const laterWrites = versionList
+                        .filter(version => version.tokens.length > tokens.length && startsWith(version.tokens, tokens) && isLater(version.stamp, stamp))
+                        .map(version => [version.tokens, version.tokens.reduce((current, token) => _valueAtKey(current, token), store.data)]);
+
+                    writes.push([tokens, value], ...laterWrites);
+                    recordWrite(tokens, stamp);
+                }
+            }
+        }
+
+        prune();
+
+        if (!writes.length) return;
+
+        // Incoming changes are applied as-is (they were already mutated by the sender) and are not broadcast again
+        applying = true;
+
+        try {
+            store.noMutation(() => store.transaction(() => writes.forEach(write)));
+        } finally {
+            applying = false;
+        }
+    };
+
+    const unsubscribe = transport.subscribe(receive);
+
+    return {
+        // Stop syncing changes (closes the transport if it was created by sync)
+        stop() {
+            listener.stop();
+            unsubscribe();
+            transport.send(serializer.serialize({
+                channel,
+                id,
+                clock,
+                stopped: true
+            }));
+
+            if (ownTransport && transport.close instanceof Function) {
+                transport.close();
+            }
+        }
+    };
+}